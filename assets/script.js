@@ -3,6 +3,9 @@
 // ============================================
 // Centralized timing configuration for all scroll-based animations
 // All values are percentages (0-1) of scroll progress through each section
+// Sections pick their block with data-anim-config (see ANIMATION ENGINE)
+// Add mode: 'once' or 'once-per-session' to a block to stop it reversing (see PLAY MODES)
+// Keys from before the engine (startDelay, itemDelay, svgDuration) are translated with a warning (see LEGACY_OPTIONS)
 
 const CONFIG = {
     // Hero section: Main landing section with headline and SVG animations
@@ -13,39 +16,67 @@ const CONFIG = {
         svgEnd: 0.95       // When SVG drawing completes (95% scroll)
     },
 
-    // About section: Two-stage animation (headline → body text)
+    // About section: Two-stage animation (headline → body text) → SVG decorations
     about: {
-        headlineStart: 0.1,    // Headline starts immediately (0% scroll)
-        headlineEnd: 0.25,    // Headline completes (30% scroll)
-        textStart: 0.1,     // Body text starts after headline (35% scroll)
-        textEnd: 0.7,        // Body text completes (60% scroll)
-        svgStart: 0.25,      // SVG animation starts (55% scroll)
-        svgEnd: 0.75         // SVG animation completes (95% scroll)
+        split: 'word',       // Long body text: one span per word
+        headlineStart: 0.1,  // Headline starts animating (10% scroll)
+        headlineEnd: 0.25,   // Headline completes (25% scroll)
+        textStart: 0.1,     // Body text starts animating (10% scroll)
+        textEnd: 0.7,        // Body text completes (70% scroll)
+        svgStart: 0.25,      // SVG animation starts (25% scroll)
+        svgEnd: 0.75         // SVG animation completes (75% scroll)
+    },
+
+    // Profesional / Academic sections: Two large links → strikethrough
+    profesional: {
+        textStart: 0.15,
+        textEnd: 0.4,
+        textStartOpacity: 0,
+        svgStart: 0.55,
+        svgEnd: 1
+    },
+
+    academic: {
+        textStart: 0.15,
+        textEnd: 0.4,
+        textStartOpacity: 0,
+        svgStart: 0.55,
+        svgEnd: 1
     },
 
     // Service section: Headline → service items → SVG
     service: {
         headlineStart: 0,      // Headline starts immediately
         headlineEnd: 0.2,      // Headline completes quickly (20% scroll)
-        startDelay: 0.35,      // Delay before first service item appears
-        itemDelay: 0.10,       // Delay between each service item
-        svgStart: 0.2,        // SVG strikethrough starts early
-        svgDuration: 0.1      // Duration of SVG animation
+        itemsSelector: '.service-list li',
+        itemsStart: 0.35,      // Delay before first service item appears
+        itemStagger: 0.10,     // Delay between each service item
+        itemDuration: 0.10,    // Duration of each service item
+        itemOffset: 150,       // Items slide up from 150px below
+        svgSelector: '.animated-path',
+        svgSequential: false,
+        fillDelay: 0.3,
+        svgStart: 0.2,         // SVG strikethrough starts early
+        svgEnd: 0.3            // SVG strikethrough completes (30% scroll)
     },
 
     // Partners section: Headline → logo grid
     partners: {
         headlineStart: 0,           // Headline starts immediately
         headlineEnd: 0.3,           // Headline completes (30% scroll)
-        triggerOffset: 0.85,        // Logos trigger when 85% in viewport
-        animationDuration: 1,       // Duration in seconds for logo fade-in
-        svgStart: 0.25,      // SVG animation starts (55% scroll)
+        // Items are the logos, or the whole strip as a marquee (see PARTNERS)
+        itemsStart: 0.3,            // Scroll progress where logos start appearing
+        itemStagger: 0.05,          // Slight delay between logos
+        itemDuration: 0.6,          // Each logo takes 60% of the scroll
+        itemOffset: 100,
+        svgStart: 0.25,      // SVG animation starts (25% scroll)
         svgEnd: 0.85
     },
 
     reviews: {
         textStart: 0.1,
         textEnd: 0.35,
+        textStartOpacity: 0,
         svgStart: 0.35,
         svgEnd: 0.55
     },
@@ -56,30 +87,71 @@ const CONFIG = {
         viewportCompletePoint: 0.2,  // Text completes when item reaches 30% down viewport
 
         // Character animation
+        split: 'word',               // Paragraph split mode: 'char' | 'word' | 'line'
         textStartOpacity: 0.3,       // Initial opacity for text characters
 
-        // Button animation timing (matches text animation)
-        buttonMatchesText: true,     // Button chars animate with text, not delayed
-
         // SVG animation timing (triggers when text reaches full opacity)
-        svgTriggerThreshold: 0.8,   // SVG starts when progress reaches % 
-        svgAnimationDuration: 0.2    // SVG animation duration as percentage (fast completion)
+        svgTriggerThreshold: 0.8,   // SVG starts when progress reaches %
+        svgAnimationDuration: 0.2,   // SVG animation duration as percentage (fast completion)
+
+        // Small screens: each category shows its image inline and a swipe gallery
+        // switches between categories (see PUBLICATIONS SECTION)
+        compactBreakpoint: 'tablet', // Key of CONFIG.breakpoints
+        imageRevealStart: 0,         // Inline image starts sliding in
+        imageRevealEnd: 0.6,         // Inline image fully shown
+        imageRevealOffset: 60        // Starting translateY in px
+    },
+
+    // Detail pages (see ROUTER): headline → underline while the hero is stuck
+    detail: {
+        textStart: 0,
+        textEnd: 0.4,
+        svgStart: 0.3,
+        svgEnd: 0.7
     },
 
     cta: {
         textStart: 0.2,
         textEnd: 0.6,
+        textStartOpacity: 0,
         svgStart: 0.3,
         svgEnd: 0.65
     },
 
-    // CTA & Reviews sections: Character-by-character text → button fade-in
-    fadeInSections: {
-        headlineStart: 0.2,   // Headline animation starts early (5% scroll)
-        headlineEnd: 0.45,     // Headline completes (35% scroll)
-        buttonStart: 0.5,       // Button fades in after headline (40% scroll)
-        svgAnimationStart: 0.25,
-        svgAnimationEnd: 0.45
+    // Where [data-contact] messages go (see CONTACT FORM). The form's action and
+    // data-mailto attributes take precedence when set
+    contact: {
+        endpoint: './contact',               // Same-origin URL the form posts to
+        mailto: 'contact@mihaitucaliuc.ro'   // Mail app fallback when posting fails
+    },
+
+    // Kiosk mode, opened with ?present (see PRESENTATION). A section can set its own
+    // presentDuration / presentDwell in its block or with data-present-duration / data-present-dwell
+    present: {
+        duration: 4000,              // Time a section takes to play to its complete state (ms)
+        dwell: 3000,                 // Time the complete section stays on screen (ms)
+        transition: 1200,            // Scroll to the next section (ms)
+        transitionEasing: 'ease-in-out',
+        resumeDelay: 15000           // Carry on this long after the last input (ms)
+    },
+
+    // Section lifecycle events (see EVENTS)
+    events: {
+        progressStep: 0.25           // section:progress fires when progress crosses a multiple of this
+    },
+
+    // Where page events are sent (see ANALYTICS)
+    analytics: {
+        sink: 'none',                // 'console' | 'beacon' | 'none'
+        endpoint: './analytics',     // Same-origin URL the beacon sink posts batches to
+        batchSize: 20,               // Events per beacon
+        flushInterval: 10000         // Send an unfinished batch after this long (ms)
+    },
+
+    // Layout breakpoints in px (max-width), the same as the media queries in style.css
+    breakpoints: {
+        tablet: 1024,
+        mobile: 480
     }
 };
 
@@ -87,12 +159,133 @@ const CONFIG = {
 // UTILITY FUNCTIONS
 // ============================================
 
+// Original markup of every element passed to wrapTextInSpans, so it can be restored
+const originalTextContent = new WeakMap();
+
+// Split mode ('char' | 'word' | 'line') of every wrapped element
+const splitModes = new WeakMap();
+
+// Spans created by wrapTextInSpans (hidden from assistive tech)
+const TEXT_UNIT_SELECTOR = 'span[aria-hidden="true"]';
+
+// Grapheme segmentation keeps ș/ț (in any normalization) and emoji in one span
+const graphemeSegmenter = window.Intl && Intl.Segmenter
+    ? new Intl.Segmenter('ro', { granularity: 'grapheme' })
+    : null;
+
+// Elements split by rendered line are re-measured when their box changes
+const lineSplitCallbacks = new WeakMap();
+const lineSplitObserver = window.ResizeObserver
+    ? new ResizeObserver(entries => {
+        entries.forEach(({ target }) => {
+            const state = lineSplitCallbacks.get(target);
+            if (!state) return;
+
+            // Skip the notification every element gets when it is first observed
+            if (!state.observed) {
+                state.observed = true;
+                return;
+            }
+
+            measureLines(target);
+            if (state.onReflow) state.onReflow();
+        });
+    })
+    : null;
+
+/**
+ * Split a text node's content into the units wrapTextInSpans animates
+ * Whitespace runs are returned as separate units and stay plain text nodes
+ * @param {string} text - Text to split
+ * @param {string} mode - 'char' | 'word' | 'line'
+ * @returns {string[]} - Units in reading order
+ */
+function splitTextUnits(text, mode) {
+    if (mode === 'word' || mode === 'line') {
+        return text.split(/(\s+)/).filter(Boolean);
+    }
+
+    const normalized = text.normalize('NFC');
+    if (graphemeSegmenter) {
+        return Array.from(graphemeSegmenter.segment(normalized), part => part.segment);
+    }
+
+    // Fallback: keep combining marks with their base character
+    return normalized.match(/\s|\P{M}\p{M}*|\p{M}+/gu) || [];
+}
+
+/**
+ * Assign a data-line index to every word span based on where it was rendered
+ * All positions are read before any attribute is written
+ * @param {HTMLElement} element - Element wrapped in 'line' mode
+ */
+function measureLines(element) {
+    const words = Array.from(element.querySelectorAll(TEXT_UNIT_SELECTOR));
+    const rects = words.map(word => word.getBoundingClientRect());
+
+    let line = -1;
+    let lineTop = -Infinity;
+    const lines = rects.map(rect => {
+        // A word starting below the middle of the current line opens a new one
+        if (rect.top > lineTop + rect.height / 2) {
+            line++;
+            lineTop = rect.top;
+        }
+        return line;
+    });
+
+    words.forEach((word, index) => word.dataset.line = lines[index]);
+}
+
+/**
+ * Get the animation units of a wrapped element
+ * 'char' and 'word' return one span per unit, 'line' returns one array of spans per line
+ * @param {HTMLElement} element - Element previously passed to wrapTextInSpans
+ * @returns {Array<HTMLElement|HTMLElement[]>} - Units in reading order
+ */
+function getSplitUnits(element) {
+    const spans = Array.from(element.querySelectorAll(TEXT_UNIT_SELECTOR));
+    if (splitModes.get(element) !== 'line') return spans;
+
+    const lines = [];
+    spans.forEach(span => {
+        const index = Number(span.dataset.line);
+        (lines[index] = lines[index] || []).push(span);
+    });
+    return lines.filter(Boolean);
+}
+
+/**
+ * Set opacity on a text unit (a span, or all spans of a line)
+ * @param {HTMLElement|HTMLElement[]} unit - Unit from getSplitUnits
+ * @param {number} opacity - Opacity value
+ */
+function setUnitOpacity(unit, opacity) {
+    if (Array.isArray(unit)) {
+        unit.forEach(span => span.style.opacity = opacity);
+    } else {
+        unit.style.opacity = opacity;
+    }
+}
+
 /**
- * Wraps each character in a text node with <span> tags for character-by-character animation
+ * Wraps text in <span> tags for unit-by-unit animation (characters, words or lines)
  * Preserves SVG elements and elements with specific classes
+ * Unit spans are aria-hidden; the original text is kept in a visually hidden
+ * .sr-only span so screen readers and accessible names read whole words
  * @param {HTMLElement} element - The element whose text should be wrapped
+ * @param {string} mode - 'char' (graphemes), 'word' or 'line' (default: 'char')
+ * @param {Function} onReflow - Optional, called after a 'line' split was re-measured
  */
-function wrapTextInSpans(element) {
+function wrapTextInSpans(element, mode = 'char', onReflow = null) {
+    // Wrapping twice would split the screen reader copy as well
+    unwrapTextSpans(element);
+    originalTextContent.set(element, element.innerHTML);
+    splitModes.set(element, mode);
+
+    // Text as read by assistive tech, collected while wrapping (SVG content excluded)
+    const textParts = [];
+
     // Classes that should be preserved (not wrapped)
     const preserveClasses = ['has-svg-animated', 'animated-svg'];
 
@@ -116,18 +309,20 @@ function wrapTextInSpans(element) {
     function processNode(node) {
         if (node.nodeType === 3) { // Text node
             const text = node.textContent;
+            textParts.push(text);
             if (text.trim() === '') return node; // Skip empty text nodes
 
-            // Create a document fragment to hold the wrapped characters
+            // Create a document fragment to hold the wrapped units
             const fragment = document.createDocumentFragment();
-            text.split('').forEach(char => {
-                if (char === ' ') {
-                    // Keep spaces as text nodes (not wrapped)
-                    fragment.appendChild(document.createTextNode(' '));
+            splitTextUnits(text, mode).forEach(unit => {
+                if (unit.trim() === '') {
+                    // Keep whitespace as text nodes (not wrapped)
+                    fragment.appendChild(document.createTextNode(unit));
                 } else {
-                    // Wrap each character in a span for individual animation
+                    // Wrap each unit in a span for individual animation
                     const span = document.createElement('span');
-                    span.textContent = char;
+                    span.textContent = unit;
+                    span.setAttribute('aria-hidden', 'true');
                     fragment.appendChild(span);
                 }
             });
@@ -138,6 +333,8 @@ function wrapTextInSpans(element) {
                 return node.cloneNode(true);
             }
 
+            if (node.tagName.toLowerCase() === 'br') textParts.push(' ');
+
             // Clone element and recursively process its children
             const newNode = node.cloneNode(false);
             Array.from(node.childNodes).forEach(child => {
@@ -157,10 +354,55 @@ function wrapTextInSpans(element) {
     Array.from(processed.childNodes).forEach(child => {
         element.appendChild(child);
     });
+
+    const srText = document.createElement('span');
+    srText.className = 'sr-only';
+    srText.textContent = textParts.join('').replace(/\s+/g, ' ').trim();
+    element.prepend(srText);
+
+    if (mode === 'line') {
+        measureLines(element);
+        if (lineSplitObserver) {
+            lineSplitCallbacks.set(element, { onReflow, observed: false });
+            lineSplitObserver.observe(element);
+        }
+    }
+}
+
+/**
+ * Mark doodle SVGs as decorative so screen readers skip them
+ * @param {HTMLElement|Document} root - Container to search
+ */
+function markDecorativeSvgs(root = document) {
+    root.querySelectorAll('.has-svg-animated svg').forEach(svg => {
+        svg.setAttribute('aria-hidden', 'true');
+        svg.setAttribute('focusable', 'false');
+    });
+}
+
+/**
+ * Restore the markup an element had before wrapTextInSpans
+ * SVGs inside the element are replaced too, so their paths must be queried again
+ * @param {HTMLElement} element - Previously wrapped element
+ */
+function unwrapTextSpans(element) {
+    if (!originalTextContent.has(element)) return;
+
+    if (lineSplitObserver && lineSplitCallbacks.has(element)) {
+        lineSplitObserver.unobserve(element);
+        lineSplitCallbacks.delete(element);
+    }
+
+    element.innerHTML = originalTextContent.get(element);
+    originalTextContent.delete(element);
+    splitModes.delete(element);
 }
 
 
 
+// Length of every path set up by initializeSvgPaths
+const pathLengths = new WeakMap();
+
 /**
  * Initialize SVG paths for stroke-dasharray animation
  * Sets initial stroke-dashoffset to path length (invisible) and fill opacity to 0
@@ -171,6 +413,7 @@ function initializeSvgPaths(paths) {
         try {
             const length = path.getTotalLength();
             if (!isFinite(length) || length <= 0) return;
+            pathLengths.set(path, length);
 
             // Set up stroke-dasharray animation
             // dasharray = length means the dash is exactly the path length
@@ -184,10 +427,31 @@ function initializeSvgPaths(paths) {
     });
 }
 
+/**
+ * Get the length of a path, measured once and cached
+ * @param {SVGGeometryElement} path - SVG path or line
+ * @returns {number} - Total length
+ */
+function getPathLength(path) {
+    if (!pathLengths.has(path)) pathLengths.set(path, path.getTotalLength());
+    return pathLengths.get(path);
+}
+
+/**
+ * Initialize again the paths whose length no longer matches the one they were set up with
+ * @param {NodeList} paths - Collection of SVG path elements
+ */
+function refreshSvgPaths(paths) {
+    const changed = Array.from(paths).filter(path =>
+        pathLengths.has(path) && path.getTotalLength() !== pathLengths.get(path)
+    );
+    initializeSvgPaths(changed);
+}
+
 /**
  * Calculate scroll progress through a section (0 to 1)
  * Used for standard sections with 2x viewport height as standard
- * @param {HTMLElement} section - Section element to measure
+ * @param {HTMLElement|Object} section - Section element, or its cached { offsetTop, offsetHeight }
  * @returns {number} - Progress value between 0 and 1
  */
 function calculateProgress(section, viewportHeight = 2) {
@@ -203,7 +467,7 @@ function calculateProgress(section, viewportHeight = 2) {
 /**
  * Calculate scroll progress through a sticky section (0 to 1)
  * Used for sections with sticky content that remains visible while scrolling
- * @param {HTMLElement} section - Sticky section element
+ * @param {HTMLElement|Object} section - Sticky section element, or its cached { offsetTop, offsetHeight }
  * @returns {number} - Progress value between 0 and 1
  */
 function calculateStickyProgress(section) {
@@ -218,16 +482,111 @@ function calculateStickyProgress(section) {
     return Math.max(0, Math.min(1, (scrollPos - sectionTop) / progressRange));
 }
 
+// Named easing presets as cubic-bezier control points (same values as CSS)
+const EASING_PRESETS = {
+    linear: [0, 0, 1, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1],
+    'ease-out-cubic': [0.33, 1, 0.68, 1]
+};
+
+// Compiled easing functions, keyed by their CONFIG value
+const easingCache = new Map();
+
+/**
+ * Turn an easing value into cubic-bezier control points
+ * @param {string|number[]} easing - Preset name, 'cubic-bezier(x1, y1, x2, y2)' or [x1, y1, x2, y2]
+ * @returns {number[]|null} - Control points, or null when the value is not understood
+ */
+function parseEasing(easing) {
+    if (Array.isArray(easing) && easing.length === 4) return easing.map(Number);
+    if (typeof easing !== 'string') return null;
+    if (EASING_PRESETS[easing]) return EASING_PRESETS[easing];
+
+    const match = easing.match(/^cubic-bezier\(([^)]+)\)$/);
+    if (!match) return null;
+
+    const points = match[1].split(',').map(Number);
+    return points.length === 4 && points.every(isFinite) ? points : null;
+}
+
+/**
+ * Create an easing function from cubic-bezier control points (x1 and x2 within 0-1)
+ * @param {number} x1 - First control point x
+ * @param {number} y1 - First control point y
+ * @param {number} x2 - Second control point x
+ * @param {number} y2 - Second control point y
+ * @returns {Function} - Easing function mapping 0-1 progress to eased progress
+ */
+function cubicBezier(x1, y1, x2, y2) {
+    // Polynomial coefficients of one bezier coordinate
+    const sample = (a1, a2, t) => ((((1 - 3 * a2 + 3 * a1) * t) + (3 * a2 - 6 * a1)) * t + 3 * a1) * t;
+    const slope = (a1, a2, t) => (3 * (1 - 3 * a2 + 3 * a1) * t * t) + (2 * (3 * a2 - 6 * a1) * t) + (3 * a1);
+
+    return x => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        // Newton-Raphson finds t for x quickly on well-behaved curves
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const error = sample(x1, x2, t) - x;
+            if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+
+            const derivative = slope(x1, x2, t);
+            if (Math.abs(derivative) < 1e-6) break;
+            t -= error / derivative;
+        }
+
+        // Bisection as a fallback for flat segments
+        let low = 0;
+        let high = 1;
+        t = x;
+        while (high - low > 1e-6) {
+            if (sample(x1, x2, t) < x) low = t;
+            else high = t;
+            t = (low + high) / 2;
+        }
+        return sample(y1, y2, t);
+    };
+}
+
+/**
+ * Resolve an easing value from CONFIG or data attributes into a function
+ * @param {string|number[]|Function} easing - Preset name, cubic-bezier value or function (default: linear)
+ * @returns {Function} - Easing function mapping 0-1 progress to eased progress
+ */
+function resolveEasing(easing = 'linear') {
+    if (typeof easing === 'function') return easing;
+
+    const key = String(easing);
+    if (!easingCache.has(key)) {
+        const points = parseEasing(easing);
+        if (!points) console.warn('Unknown easing, using linear:', easing);
+
+        const isLinear = !points || (points[0] === points[1] && points[2] === points[3]);
+        easingCache.set(key, isLinear ? (value => value) : cubicBezier(...points));
+    }
+    return easingCache.get(key);
+}
+
 /**
  * Animate text characters with progressive opacity fade-in
- * Each character fades in sequentially based on scroll progress
- * @param {NodeList} chars - Collection of character span elements
+ * Each unit (character, word or line) fades in sequentially based on scroll progress
+ * @param {Array|NodeList} chars - Text units from getSplitUnits
  * @param {number} progress - Animation progress (0 to 1)
  * @param {number} startOpacity - Starting opacity value (default: 0.3)
+ * @param {Object} timing - Optional { charDuration, textEasing } (section options work as-is)
  */
-function animateTextCharacters(chars, progress, startOpacity = 0.3) {
+function animateTextCharacters(chars, progress, startOpacity = 0.3, timing = {}) {
     if (!chars || chars.length === 0) return;
 
+    // Each character takes 30% of the total animation time unless configured
+    const charDuration = timing.charDuration || 0.3;
+    const ease = resolveEasing(timing.textEasing);
+
     chars.forEach((char, index) => {
         const totalChars = chars.length;
 
@@ -235,18 +594,36 @@ function animateTextCharacters(chars, progress, startOpacity = 0.3) {
         // Characters are staggered based on their index
         const charDelay = index / totalChars;
 
-        // Each character takes 30% of the total animation time
-        const charDuration = 0.3;
-
         // Calculate this character's individual progress
         let charProgress = (progress - charDelay) / charDuration;
-        charProgress = Math.max(0, Math.min(1, charProgress));
+        charProgress = ease(Math.max(0, Math.min(1, charProgress)));
 
         // Interpolate opacity from startOpacity to 1
-        char.style.opacity = startOpacity + (charProgress * (1 - startOpacity));
+        setUnitOpacity(char, startOpacity + (charProgress * (1 - startOpacity)));
     });
 }
 
+/**
+ * Draw one path: stroke first, fill fading in once the stroke passed fillDelay
+ * @param {SVGGeometryElement} path - SVG path or line
+ * @param {number} progress - Path progress (0 to 1)
+ * @param {number} fillDelay - Stroke progress at which the fill starts
+ * @param {Function} strokeEase - Easing for the stroke
+ * @param {Function} fillEase - Easing for the fill
+ */
+function drawSvgPath(path, progress, fillDelay, strokeEase, fillEase) {
+    const length = getPathLength(path);
+
+    // Reduce dashoffset as progress increases (reveals the stroke)
+    path.style.strokeDashoffset = length - (length * strokeEase(progress));
+
+    const fillRange = 1 - fillDelay;
+    const fillProgress = fillRange > 0
+        ? Math.max(0, Math.min(1, (progress - fillDelay) / fillRange))
+        : (progress >= 1 ? 1 : 0);
+    path.style.fillOpacity = fillEase(fillProgress);
+}
+
 /**
  * Animate SVG paths using stroke-dashoffset technique
  * Can animate paths simultaneously or sequentially
@@ -254,28 +631,25 @@ function animateTextCharacters(chars, progress, startOpacity = 0.3) {
  * @param {number} progress - Animation progress (0 to 1)
  * @param {boolean} sequentially - If true, animate paths one after another
  * @param {number} animationDelay - Optional delay between sequential paths
+ * @param {Object} timing - Optional { strokeEasing, fillEasing, fillDelay } (section options work as-is)
  */
-function animateSvgPaths(paths, progress, sequentially = false, animationDelay = null) {
+function animateSvgPaths(paths, progress, sequentially = false, animationDelay = null, timing = {}) {
+    const strokeEase = resolveEasing(timing.strokeEasing);
+    const fillEase = resolveEasing(timing.fillEasing);
+
     if (!sequentially) {
         // Animate all paths simultaneously
-        paths.forEach(path => {
-            const length = path.getTotalLength();
-
-            // Reduce dashoffset as progress increases (reveals the stroke)
-            const offset = length - (length * progress);
-            path.style.strokeDashoffset = offset;
-
-            // Animate fill opacity after stroke is 30% complete
-            const fillProgress = Math.max(0, (progress - 0.3) / 0.7);
-            path.style.fillOpacity = fillProgress;
-        });
+        // Fill starts after stroke is 30% complete unless configured
+        const fillDelay = timing.fillDelay ?? 0.3;
+        paths.forEach(path => drawSvgPath(path, progress, fillDelay, strokeEase, fillEase));
     } else {
         // Animate paths sequentially (one after another)
         if (!animationDelay) animationDelay = 1 / paths.length;
 
-        paths.forEach((path, index) => {
-            const length = path.getTotalLength();
+        // Fill starts after each stroke is 40% complete unless configured
+        const fillDelay = timing.fillDelay ?? 0.4;
 
+        paths.forEach((path, index) => {
             // Calculate timing for this specific path
             const pathStart = index * animationDelay;
             const pathEnd = pathStart + animationDelay;
@@ -284,28 +658,57 @@ function animateSvgPaths(paths, progress, sequentially = false, animationDelay =
             let pathProgress = (progress - pathStart) / (pathEnd - pathStart);
             pathProgress = Math.max(0, Math.min(1, pathProgress));
 
-            // Animate stroke
-            path.style.strokeDashoffset = length - (length * pathProgress);
-
-            // Animate fill opacity after stroke is 40% complete
-            const fillProgress = Math.max(0, (pathProgress - 0.4) / 0.6);
-            path.style.fillOpacity = fillProgress;
+            drawSvgPath(path, pathProgress, fillDelay, strokeEase, fillEase);
         });
     }
 }
 
+/**
+ * Draw SVG paths over time instead of scroll progress (dialogs, status doodles)
+ * @param {NodeList} paths - Collection of SVG path elements
+ * @param {number} duration - Drawing time in ms
+ */
+function playSvgPaths(paths, duration) {
+    initializeSvgPaths(paths);
+
+    if (reducedMotion) {
+        animateSvgPaths(paths, 1, true);
+        return;
+    }
+
+    const start = performance.now();
+    function frame(now) {
+        const progress = Math.min(1, (now - start) / duration);
+        animateSvgPaths(paths, progress, true, null, { strokeEasing: 'ease-out' });
+        if (progress < 1) requestAnimationFrame(frame);
+    }
+    requestAnimationFrame(frame);
+}
+
 /**
  * Reset SVG paths to initial state (invisible)
  * @param {NodeList} paths - Collection of SVG path elements
  */
 function resetSvgPaths(paths) {
     paths.forEach(path => {
-        const length = path.getTotalLength();
+        const length = getPathLength(path);
         path.style.strokeDashoffset = length; // Hide stroke
         path.style.fillOpacity = 0;           // Hide fill
     });
 }
 
+/**
+ * Remove all inline animation styles from SVG paths (fully drawn, CSS defaults)
+ * @param {NodeList} paths - Collection of SVG path elements
+ */
+function clearSvgPaths(paths) {
+    paths.forEach(path => {
+        path.style.strokeDasharray = '';
+        path.style.strokeDashoffset = '';
+        path.style.fillOpacity = '';
+    });
+}
+
 /**
  * Check if an element is within the viewport
  * @param {HTMLElement} element - Element to check
@@ -320,598 +723,4386 @@ function isInViewport(element, offset = 0.85) {
     return rect.top <= windowHeight * offset && rect.bottom >= 0;
 }
 
-// ============================================
-// INITIALIZATION
-// ============================================
-
-
-
-// Cache DOM elements for better performance (avoid repeated querySelector calls)
-const sections = {
-    hero: document.getElementById('heroSection'),
-    about: document.getElementById('aboutSection'),
-    service: document.querySelector('.service-section'),
-    partners: document.getElementById('partnersSection'),
-    publications: document.getElementById('publicationsSection'),
-    reviews: document.getElementById('reviewsSection'),
-    cta: document.getElementById('ctaSection')
-};
-
-// Initialize text wrapping for all sub-headlines to enable character animation
-const allSubHeadlines = document.querySelectorAll('.sub-headline');
-allSubHeadlines.forEach(headline => wrapTextInSpans(headline));
-
-// ============================================
-// HERO SECTION
-// ============================================
-// Main landing section with large headline and multiple SVG underlines
-
-const heroText = document.getElementById("heroHeadline");
-if (heroText) wrapTextInSpans(heroText);
+/**
+ * Media query matching a layout breakpoint of CONFIG.breakpoints
+ * @param {string} name - Breakpoint key ('tablet', 'mobile')
+ * @returns {MediaQueryList} - Matches at or below the breakpoint width
+ */
+function getBreakpointQuery(name) {
+    return window.matchMedia(`(max-width: ${CONFIG.breakpoints[name]}px)`);
+}
 
-// Get all character spans (excluding SVG containers)
-const heroChars = heroText?.querySelectorAll('span:not(.has-svg-animated)') || [];
 
-// Get all SVG paths that need animation
-const heroPaths = heroText.querySelectorAll('.has-svg-animated svg path, .has-svg-animated svg line');
-initializeSvgPaths(heroPaths);
+/**
+ * Map section progress onto a single stage window
+ * @param {number} progress - Section progress (0 to 1)
+ * @param {number} start - Stage start
+ * @param {number} end - Stage end
+ * @returns {number} - Stage progress between 0 and 1
+ */
+function getStageProgress(progress, start, end) {
+    if (end <= start) return progress >= end ? 1 : 0;
+    return Math.max(0, Math.min(1, (progress - start) / (end - start)));
+}
 
 /**
- * Animate hero section based on scroll progress
- * Stage 1: Text characters fade in (0-60%)
- * Stage 2: SVG paths draw in sequentially (10-95%)
+ * Slide items up and fade them in one after another
+ * @param {NodeList} items - Elements to animate
+ * @param {number} progress - Section progress (0 to 1)
+ * @param {Object} options - itemsStart, itemStagger, itemDuration, itemOffset and itemEasing
  */
-function animateHero() {
-    if (!sections.hero) return;
+function animateItems(items, progress, options) {
+    const ease = resolveEasing(options.itemEasing);
 
-    const progress = calculateProgress(sections.hero);
+    items.forEach((item, index) => {
+        // Calculate when this item should start animating
+        const itemStart = options.itemsStart + (index * options.itemStagger);
+        const itemProgress = Math.max(0, Math.min(1, (progress - itemStart) / options.itemDuration));
 
-    // Stage 1: Animate text characters
-    if (progress <= CONFIG.hero.textEnd) {
-        const textProgress = (progress - CONFIG.hero.textStart) / (CONFIG.hero.textEnd - CONFIG.hero.textStart);
-        animateTextCharacters(heroChars, textProgress);
-    } else {
-        // Ensure all characters are at full opacity after animation completes
-        heroChars.forEach(char => char.style.opacity = 1);
-    }
+        // Apply easing for smooth deceleration
+        const eased = ease(itemProgress);
 
-    // Stage 2: Animate SVG paths
-    if (progress > CONFIG.hero.svgStart && progress <= CONFIG.hero.svgEnd) {
-        const svgProgress = (progress - CONFIG.hero.svgStart) / (CONFIG.hero.svgEnd - CONFIG.hero.svgStart);
-        animateSvgPaths(heroPaths, svgProgress, true); // true = sequential animation
-    } else if (progress <= CONFIG.hero.svgStart) {
-        // Reset SVGs if user scrolls back up
-        resetSvgPaths(heroPaths);
-    }
+        item.style.transform = `translateY(${options.itemOffset - (eased * options.itemOffset)}px)`;
+        item.style.opacity = eased;
+    });
 }
 
 // ============================================
-// ABOUT SECTION
+// ANNOTATIONS
 // ============================================
-// "About me" section with headline, body text, and image
+// Hand-drawn marks generated in JS instead of SVGs pasted from Illustrator:
+//
+//   <span data-annotate="circle" data-annotate-color="blue">cuvânt</span>
+//
+// data-annotate picks the shape (see ANNOTATION_SHAPES), data-annotate-color one
+// of the color variables of style.css and data-annotate-roughness how far the
+// stroke wanders (1 = default, 0 = ruler straight). Every element gets an
+// svg.annotation sized to its box; the path is drawn by the section like any
+// pasted doodle (ANIMATION_DEFAULTS.svgSelector includes '.annotation path';
+// sections with their own svgSelector add it themselves).
+// The random shape comes from data-annotate-seed, set on first draw so the mark
+// keeps its look when it is re-fitted after a layout change.
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Box used while an element takes no space (hidden track, detail page shown)
+const ANNOTATION_FALLBACK_BOX = { width: 100, height: 20 };
 
-const aboutText = sections.about.querySelector("#aboutContent .text-content");
-// const aboutHeadlineChars = sections.about.querySelectorAll('#aboutHeader span:not(.has-svg-animated)');
-const aboutMoreButton = sections.about.querySelector('.section-content-button');
+/**
+ * Seeded random numbers (mulberry32), so a seed always draws the same mark
+ * @param {number} seed - 32-bit integer
+ * @returns {Function} - Returns numbers between 0 and 1
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
+/**
+ * Smooth path through points (Catmull-Rom turned into cubic Béziers)
+ * @param {number[][]} points - [x, y] pairs
+ * @returns {string} - Path data
+ */
+function getSmoothPath(points) {
+    const round = value => Math.round(value * 10) / 10;
+    let d = `M${round(points[0][0])},${round(points[0][1])}`;
+
+    for (let index = 0; index < points.length - 1; index++) {
+        const previous = points[index - 1] || points[index];
+        const start = points[index];
+        const end = points[index + 1];
+        const next = points[index + 2] || end;
+
+        const control1 = [start[0] + ((end[0] - previous[0]) / 6), start[1] + ((end[1] - previous[1]) / 6)];
+        const control2 = [end[0] - ((next[0] - start[0]) / 6), end[1] - ((next[1] - start[1]) / 6)];
+        d += ` C${round(control1[0])},${round(control1[1])} ${round(control2[0])},${round(control2[1])} ${round(end[0])},${round(end[1])}`;
+    }
 
-if (aboutText) wrapTextInSpans(aboutText);
-wrapTextInSpans(aboutMoreButton);
+    return d;
+}
 
-const aboutChars = sections.about?.querySelectorAll('span:not(.has-svg-animated)') || [];
-const aboutPaths = sections.about.querySelectorAll('#aboutSection .has-svg-animated svg path, #aboutSection .has-svg-animated svg line');
-initializeSvgPaths(aboutPaths);
+/**
+ * A slightly wobbly stroke across the box at a height (0 = top, 1 = bottom)
+ * @param {number} width - Box width (px)
+ * @param {number} height - Box height (px)
+ * @param {number} from - Start height as a fraction of the box
+ * @param {number} to - End height as a fraction of the box
+ * @param {Function} jitter - Random offset up to an amount
+ * @returns {number[][]} - Points
+ */
+function getStrokePoints(width, height, from, to, jitter) {
+    const steps = 4;
+    return Array.from({ length: steps + 1 }, (value, index) => {
+        const t = index / steps;
+        return [
+            (-0.02 * width) + (t * 1.04 * width) + jitter(width * 0.01),
+            (height * (from + ((to - from) * t))) + jitter(height * 0.04)
+        ];
+    });
+}
 
 /**
- * Animate about section with three stages:
- * Stage 1: Headline animates (0-30%)
- * Stage 2: Body text animates (35-60%)
- * Stage 3: SVG decorations animate (55-95%)
+ * Shapes, keyed by their data-annotate value
+ * Each returns { d, strokeWidth } for a box in px and a jitter function
  */
-function animateAbout() {
-    if (!sections.about) return;
+const ANNOTATION_SHAPES = {
+    underline: (width, height, jitter) => ({
+        d: getSmoothPath(getStrokePoints(width, height, 0.95, 0.9, jitter)),
+        strokeWidth: Math.max(2, height * 0.07)
+    }),
+    strike: (width, height, jitter) => ({
+        d: getSmoothPath(getStrokePoints(width, height, 0.6, 0.5, jitter)),
+        strokeWidth: Math.max(2, height * 0.07)
+    }),
+    highlight: (width, height, jitter) => ({
+        d: getSmoothPath(getStrokePoints(width, height, 0.68, 0.5, jitter)),
+        strokeWidth: height * 0.6
+    }),
+    circle: (width, height, jitter) => {
+        // A bit more than one turn, starting top left, widening as it goes
+        const center = [width / 2, height / 2];
+        const radius = [(width / 2) + Math.max(8, width * 0.06), (height / 2) + Math.max(6, height * 0.2)];
+        const start = (-0.6 * Math.PI) + jitter(0.2);
+        const steps = 14;
+        const points = Array.from({ length: steps + 1 }, (value, index) => {
+            const t = index / steps;
+            const angle = start + (t * 2.15 * Math.PI);
+            const spread = 1 + (t * 0.06) + jitter(0.03);
+            return [
+                center[0] + (Math.cos(angle) * radius[0] * spread),
+                center[1] + (Math.sin(angle) * radius[1] * spread)
+            ];
+        });
+        return { d: getSmoothPath(points), strokeWidth: Math.max(2, height * 0.06) };
+    },
+    box: (width, height, jitter) => {
+        // One stroke around the box, bowing a little per side and overshooting where it closes
+        const padding = Math.max(4, height * 0.15);
+        const corners = [
+            [-padding, -padding],
+            [width + padding, -padding],
+            [width + padding, height + padding],
+            [-padding, height + padding]
+        ].map(([x, y]) => [x + jitter(padding * 0.5), y + jitter(padding * 0.5)]);
+        const close = [corners[0][0] + (padding * 2), corners[0][1] + jitter(padding * 0.5)];
+
+        const round = value => Math.round(value * 10) / 10;
+        let d = `M${round(corners[0][0])},${round(corners[0][1])}`;
+        [...corners.slice(1), corners[0], close].forEach((end, index, ends) => {
+            const start = index === 0 ? corners[0] : ends[index - 1];
+            const middle = [((start[0] + end[0]) / 2) + jitter(padding * 0.4), ((start[1] + end[1]) / 2) + jitter(padding * 0.4)];
+            d += ` Q${round(middle[0])},${round(middle[1])} ${round(end[0])},${round(end[1])}`;
+        });
 
-    const progress = calculateProgress(sections.about);
+        return { d, strokeWidth: Math.max(2, height * 0.06) };
+    }
+};
 
-    // // Stage 1: Animate headline first
-    // if (aboutHeadlineChars.length > 0) {
-    //     if (progress <= CONFIG.about.headlineEnd) {
-    //         const textProgress = (progress - CONFIG.about.headlineStart) / (CONFIG.about.headlineEnd - CONFIG.about.headlineStart);
-    //         animateTextCharacters(aboutHeadlineChars, textProgress);
-    //     } else {
-    //         aboutHeadlineChars.forEach(char => char.style.opacity = 1);
-    //     }
-    // }
+/**
+ * Create the svg.annotation of an element
+ * @param {HTMLElement} element - Element with data-annotate
+ * @returns {SVGElement}
+ */
+function createAnnotationSvg(element) {
+    const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+    svg.classList.add('annotation', `annotation-${element.dataset.annotate}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('focusable', 'false');
+    if (element.dataset.annotateColor) {
+        svg.style.setProperty('--annotationColor', `var(--${element.dataset.annotateColor})`);
+    }
 
-    // Stage 2: Animate body text after headline
-    if (progress >= CONFIG.about.textStart) {
-        if (progress <= CONFIG.about.textEnd) {
-            const textProgress = (progress - CONFIG.about.textStart) / (CONFIG.about.textEnd - CONFIG.about.textStart);
-            animateTextCharacters(aboutChars, textProgress);
-        } else {
-            aboutChars.forEach(char => char.style.opacity = 1);
+    svg.appendChild(document.createElementNS(SVG_NAMESPACE, 'path'));
+    element.appendChild(svg);
+    return svg;
+}
+
+/**
+ * Generate (or re-fit) the mark of every [data-annotate] element
+ * Marks are only redrawn when the element's box changed size
+ * @param {HTMLElement|Document} root - Container to search
+ */
+function drawAnnotations(root = document) {
+    root.querySelectorAll('[data-annotate]').forEach(element => {
+        const shape = ANNOTATION_SHAPES[element.dataset.annotate];
+        if (!shape) {
+            console.warn('Unknown data-annotate shape:', element.dataset.annotate, element);
+            return;
         }
-    }
 
-    // Stage 3: Animate SVG decorations
-    if (aboutPaths.length > 0) {
-        if (progress > CONFIG.about.svgStart && progress <= CONFIG.about.svgEnd) {
-            const svgProgress = (progress - CONFIG.about.svgStart) / (CONFIG.about.svgEnd - CONFIG.about.svgStart);
-            animateSvgPaths(aboutPaths, svgProgress, true);
-        } else if (progress <= CONFIG.about.svgStart) {
-            resetSvgPaths(aboutPaths);
+        const svg = element.querySelector(':scope > svg.annotation') || createAnnotationSvg(element);
+        const width = Math.round(element.offsetWidth) || ANNOTATION_FALLBACK_BOX.width;
+        const height = Math.round(element.offsetHeight) || ANNOTATION_FALLBACK_BOX.height;
+        const viewBox = `0 0 ${width} ${height}`;
+        if (svg.getAttribute('viewBox') === viewBox) return;
+
+        if (!element.dataset.annotateSeed) {
+            element.dataset.annotateSeed = Math.floor(Math.random() * 4294967296);
         }
-    }
+        const random = createRandom(Number(element.dataset.annotateSeed));
+        const roughness = element.dataset.annotateRoughness !== undefined ? Number(element.dataset.annotateRoughness) : 1;
+        const jitter = amount => ((random() * 2) - 1) * amount * roughness;
+
+        const { d, strokeWidth } = shape(width, height, jitter);
+        svg.setAttribute('viewBox', viewBox);
+        const path = svg.querySelector('path');
+        path.setAttribute('d', d);
+        path.setAttribute('stroke-width', Math.round(strokeWidth * 10) / 10);
+    });
 }
 
 // ============================================
-// SERVICE SECTION
+// DOODLES
 // ============================================
-// "What I do" section with crossed-out text and service list
+// Doodles from assets/images/MIHAI TUCALIUC - DOODLES can be referenced instead
+// of pasted inline:
+//
+//   <span class="has-svg-animated" data-doodle="DOODLES-07">cuvânt</span>
+//
+// Every file is fetched once, rebuilt from an allowlist of shapes and attributes
+// (no scripts, styles, links or ids) and appended to each element naming it.
+// Paths only animate when the section's svgSelector matches them, so the host
+// is usually a .has-svg-animated element. Once the files arrive the sections
+// are initialized again and pick the new paths up; a missing file leaves the
+// text as it is.
+
+const DOODLES_URL = './assets/images/MIHAI TUCALIUC - DOODLES/MIHAI TUCALIUC - ';
+
+// Elements and attributes kept from a doodle file
+const DOODLE_ELEMENTS = ['svg', 'g', 'path', 'line', 'polyline', 'polygon', 'circle', 'ellipse', 'rect'];
+const DOODLE_ATTRIBUTES = ['viewBox', 'preserveAspectRatio', 'd', 'points', 'x', 'y', 'x1', 'y1', 'x2', 'y2',
+    'cx', 'cy', 'r', 'rx', 'ry', 'width', 'height', 'transform', 'fill-rule', 'clip-rule'];
+
+// Sanitized <svg> of every requested doodle (null when it could not be loaded)
+const doodleRequests = new Map();
 
-const serviceHeaderChars = document.querySelectorAll('#serviceHeader span:not(.has-svg-animated)');
-const serviceItems = document.querySelectorAll('.service-list li');
-const serviceSvgPaths = document.querySelectorAll('.service-section .animated-path');
+/**
+ * Copy an SVG element and its allowed descendants into the page's SVG namespace
+ * @param {Element} source - Element parsed from the file
+ * @returns {SVGElement|null} - Clean copy, null for elements that are not allowed
+ */
+function sanitizeDoodleElement(source) {
+    if (!DOODLE_ELEMENTS.includes(source.localName)) return null;
 
-// Set initial state for service header
-serviceHeaderChars.forEach(char => {
-    char.style.opacity = 0.5; // Match startOpacity in animateTextCharacters
-});
+    const element = document.createElementNS(SVG_NAMESPACE, source.localName);
+    DOODLE_ATTRIBUTES.forEach(name => {
+        if (source.hasAttribute(name)) element.setAttribute(name, source.getAttribute(name));
+    });
 
-// Set initial state for service items (off-screen below)
-serviceItems.forEach(item => {
-    item.style.transform = 'translateY(150px)';
-    item.style.opacity = '0';
-    item.style.willChange = 'transform, opacity'; // Performance hint for browser
-});
+    Array.from(source.children).forEach(child => {
+        const copy = sanitizeDoodleElement(child);
+        if (copy) element.appendChild(copy);
+    });
 
-initializeSvgPaths(serviceSvgPaths);
+    return element;
+}
 
 /**
- * Animate service section with multiple stages:
- * Stage 1: Headline fades in (0-20%)
- * Stage 2: Service items slide up sequentially (25%+)
- * Stage 3: SVG strikethrough animates (5-30%)
+ * Fetch and sanitize a doodle file (once)
+ * @param {string} name - data-doodle value, e.g. 'DOODLES-07'
+ * @returns {Promise<SVGElement|null>}
  */
-function animateServiceSection() {
-    if (!sections.service) return;
-
-    const sectionTop = sections.service.offsetTop;
-    const scrollPos = window.scrollY;
-
-    // Reset animations if user scrolls above section
-    if (scrollPos < sectionTop) {
-        serviceItems.forEach(item => {
-            item.style.transform = 'translateY(150px)';
-            item.style.opacity = '0';
-        });
-        resetSvgPaths(serviceSvgPaths);
-        return;
-    }
-
-    const progress = calculateStickyProgress(sections.service);
+function loadDoodle(name) {
+    if (!doodleRequests.has(name)) {
+        doodleRequests.set(name, fetch(encodeURI(`${DOODLES_URL}${name}.svg`))
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(markup => {
+                const file = new DOMParser().parseFromString(markup, 'image/svg+xml');
+                if (file.querySelector('parsererror') || file.documentElement.localName !== 'svg') {
+                    throw new Error('Not an SVG file');
+                }
 
-    // Stage 1: Animate headline first
-    if (serviceHeaderChars.length > 0) {
-        if (progress <= CONFIG.service.headlineEnd) {
-            const textProgress = (progress - CONFIG.service.headlineStart) / (CONFIG.service.headlineEnd - CONFIG.service.headlineStart);
-            animateTextCharacters(serviceHeaderChars, textProgress);
-        } else {
-            serviceHeaderChars.forEach(char => char.style.opacity = 1);
-        }
+                const svg = sanitizeDoodleElement(file.documentElement);
+                svg.classList.add('animated-svg', 'doodle');
+                svg.setAttribute('aria-hidden', 'true');
+                svg.setAttribute('focusable', 'false');
+                return svg;
+            })
+            .catch(error => {
+                console.warn(`Could not load doodle ${name}:`, error);
+                return null;
+            }));
     }
+    return doodleRequests.get(name);
+}
 
-    // Stage 2: Animate service items sequentially
-    serviceItems.forEach((item, index) => {
-        // Calculate when this item should start animating
-        const itemStart = CONFIG.service.startDelay + (index * CONFIG.service.itemDelay);
-
-        if (progress >= itemStart) {
-            // Calculate progress for this specific item
-            const itemProgress = Math.min(1, (progress - itemStart) / CONFIG.service.itemDelay);
-
-            // Apply easing for smooth deceleration
-            const eased = 1 - Math.pow(1 - itemProgress, 3); // Cubic ease-out
-
-            // Animate position and opacity
-            item.style.transform = `translateY(${150 - (eased * 150)}px)`;
-            item.style.opacity = eased;
-        } else {
-            // Keep item in initial state if it hasn't started yet
-            item.style.transform = 'translateY(150px)';
-            item.style.opacity = '0';
-        }
+/**
+ * Append the loaded doodles to every element still waiting for one
+ * @param {Map<string, SVGElement>} doodles - Sanitized SVG per name
+ * @param {HTMLElement|Document} root - Container to search
+ */
+function insertDoodles(doodles, root) {
+    root.querySelectorAll('[data-doodle]').forEach(host => {
+        const svg = doodles.get(host.dataset.doodle);
+        if (svg && !host.querySelector(':scope > svg.doodle')) host.appendChild(svg.cloneNode(true));
     });
+}
 
-    // Stage 3: Animate SVG strikethrough
-    if (serviceSvgPaths.length > 0) {
-        if (progress >= CONFIG.service.svgStart) {
-            const svgProgress = Math.min(1, (progress - CONFIG.service.svgStart) / CONFIG.service.svgDuration);
-            animateSvgPaths(serviceSvgPaths, svgProgress);
-        } else {
-            resetSvgPaths(serviceSvgPaths);
-        }
-    }
+/**
+ * Load the doodles referenced in a container and hand their paths to the sections
+ * @param {HTMLElement|Document} root - Container to search
+ */
+function loadDoodles(root = document) {
+    const hosts = Array.from(root.querySelectorAll('[data-doodle]'))
+        .filter(host => !host.querySelector(':scope > svg.doodle'));
+    const names = [...new Set(hosts.map(host => host.dataset.doodle))];
+    if (names.length === 0) return;
+
+    Promise.all(names.map(loadDoodle)).then(svgs => {
+        const doodles = new Map(names.map((name, index) => [name, svgs[index]]).filter(([, svg]) => svg));
+        if (doodles.size === 0 || !root.isConnected) return;
+
+        // Split text keeps a copy of its markup, so doodles go in while it is unwrapped
+        reinitializeAnimatedSections(() => insertDoodles(doodles, root));
+    });
 }
 
 // ============================================
-// PARTNERS SECTION
+// EVENTS
 // ============================================
-// Grid of partner/client logos with fade-in + translateY animation based on scroll progress
-
-const partnersHeaderChars = document.querySelectorAll('#partnersHeader span:not(.has-svg-animated)');
-const partnerItems = document.querySelectorAll('.partners-table img');
-const partnerSvgPaths = document.querySelectorAll('#partnersSection svg line, #partnersSection svg path');
-initializeSvgPaths(partnerSvgPaths);
-
-// Set initial state for partner logos
-partnerItems.forEach(item => {
-    item.style.opacity = '0';
-    item.style.transform = 'translateY(100px)';
-    item.style.willChange = 'opacity, transform'; // Performance hint
-});
+// What the visitor sees and clicks, published for analytics (see ANALYTICS) and
+// scripts outside this file (window.pageEvents.subscribe):
+//
+//   section:enter     a section scrolled into the viewport
+//   section:progress  its progress crossed a multiple of CONFIG.events.progressStep
+//   section:complete  every stage of its animation has finished
+//   section:leave     it scrolled out of the viewport (or its view was swapped out)
+//   cta:click         a [data-cta] link was clicked
+//
+// Subscribers get { type, detail, time }; subscribing to '*' receives every type.
+
+// Callbacks of every event type
+const pageEventSubscribers = new Map();
 
 /**
- * Animate partners section:
- * Stage 1: Headline fades in (0–30%)
- * Stage 2: Logos fade + slide in progressively (30–90%)
- * Stage 3: SVGs draw in (25–85%)
+ * Call a function for every event of a type
+ * @param {string} type - Event type, or '*' for all of them
+ * @param {Function} callback - Receives { type, detail, time }
+ * @returns {Function} - Removes the subscription
  */
-function animatePartners() {
-    if (!sections.partners) return;
-
-    const progress = calculateStickyProgress(sections.partners);
-
-    // === Stage 1: Animate headline ===
-    if (partnersHeaderChars.length > 0) {
-        if (progress <= CONFIG.partners.headlineEnd) {
-            const textProgress = (progress - CONFIG.partners.headlineStart) / (CONFIG.partners.headlineEnd - CONFIG.partners.headlineStart);
-            animateTextCharacters(partnersHeaderChars, textProgress);
-        } else {
-            partnersHeaderChars.forEach(char => char.style.opacity = 1);
-        }
-    }
+function onPageEvent(type, callback) {
+    if (!pageEventSubscribers.has(type)) pageEventSubscribers.set(type, new Set());
+    pageEventSubscribers.get(type).add(callback);
+    return () => pageEventSubscribers.get(type).delete(callback);
+}
 
-    // === Stage 2: Animate partner logos (scroll-based fade + translate) ===
-    const logoStart = 0.3;  // Scroll progress where logos start appearing
-    const logoEnd = 0.9;    // Scroll progress where all logos are fully visible
-    const visibleRange = logoEnd - logoStart;
+/**
+ * Publish an event; a failing subscriber doesn't stop the others (or the scroll loop)
+ * @param {string} type - Event type
+ * @param {Object} detail - Event data
+ */
+function emitPageEvent(type, detail) {
+    const event = { type, detail, time: Date.now() };
+    [type, '*'].forEach(key => {
+        (pageEventSubscribers.get(key) || []).forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.warn(`"${type}" subscriber failed:`, error);
+            }
+        });
+    });
+}
 
-    partnerItems.forEach((item, index) => {
-        // Slight delay between logos for staggered effect
-        const itemDelay = index * 0.05;
-        const localStart = logoStart + itemDelay;
-        const localEnd = localStart + visibleRange;
+/**
+ * Name a section is reported under
+ * @param {Object} entry - Registry entry
+ * @returns {string}
+ */
+function getSectionEventName(entry) {
+    return entry.section.id || entry.section.dataset.animConfig || entry.section.dataset.anim;
+}
 
-        // Normalize progress for this logo
-        let itemProgress = (progress - localStart) / (localEnd - localStart);
-        itemProgress = Math.max(0, Math.min(1, itemProgress));
+/**
+ * Whether any part of a section is inside the viewport (from the cached layout)
+ * @param {Object} entry - Registry entry
+ * @returns {boolean}
+ */
+function isSectionInViewport(entry) {
+    const top = entry.layout.offsetTop - window.scrollY;
+    return !isSectionCollapsed(entry) && top < window.innerHeight && top + entry.layout.offsetHeight > 0;
+}
 
-        // Cubic easing for smooth entrance
-        const eased = 1 - Math.pow(1 - itemProgress, 3);
+/**
+ * Emit the lifecycle events a section's last update caused
+ * @param {Object} entry - Registry entry
+ * @param {boolean} visible - Whether the section is in the viewport now
+ */
+function emitSectionEvents(entry, visible = isSectionInViewport(entry)) {
+    const { lifecycle } = entry;
+    const detail = { section: getSectionEventName(entry), route: currentRoute, progress: entry.progress };
 
-        // Apply transform + opacity
-        const translateY = 100 - (eased * 100);
-        item.style.transform = `translateY(${translateY}px)`;
-        item.style.opacity = eased;
-    });
+    if (visible && !lifecycle.visible) emitPageEvent('section:enter', detail);
 
-    // === Stage 3: Animate SVGs ===
-    if (partnerSvgPaths.length > 0) {
-        if (progress >= CONFIG.partners.svgStart && progress <= CONFIG.partners.svgEnd) {
-            const svgProgress = (progress - CONFIG.partners.svgStart) / (CONFIG.partners.svgEnd - CONFIG.partners.svgStart);
-            animateSvgPaths(partnerSvgPaths, svgProgress, true);
-        } else if (progress <= CONFIG.partners.svgStart) {
-            resetSvgPaths(partnerSvgPaths);
+    if (visible) {
+        const size = CONFIG.events.progressStep;
+        const step = Math.floor(entry.progress / size);
+        if (step !== lifecycle.step) {
+            emitPageEvent('section:progress', { ...detail, progress: Math.min(1, step * size) });
         }
+        lifecycle.step = step;
+
+        const complete = entry.progress >= getSectionCompleteProgress(entry);
+        if (complete && !lifecycle.complete) emitPageEvent('section:complete', detail);
+        lifecycle.complete = complete;
     }
+
+    if (!visible && lifecycle.visible) emitPageEvent('section:leave', detail);
+    lifecycle.visible = visible;
 }
 
 // ============================================
-// PUBLICATIONS SECTION
+// ANIMATION ENGINE
 // ============================================
-const publicationsSection = document.querySelector('#publicationsSection');
-const publicationItems = document.querySelectorAll('.publication');
-const publicationImages = document.querySelectorAll('.publication-image');
+// Sections opt in to scroll animations with data attributes, no new JS needed:
+//
+//   <section data-anim="sticky" data-anim-config="cta" data-text-start="0.1" data-svg-end="0.75">
+//       <h2 data-split>...</h2>
+//   </section>
+//
+// data-anim picks the section type (how progress is measured), data-anim-config
+// picks the CONFIG block used as defaults and a data-* attribute naming an option
+// of ANIMATION_DEFAULTS or of that block overrides it (data-svg-end → svgEnd); other
+// data-* attributes (data-nav-label, data-track...) are left alone. Elements marked with data-split
+// are wrapped into character spans; the ones also marked data-stage="headline"
+// fade in during their own headline stage, when the options give it one.
 
 /**
- * Initialize publications: wrap text/buttons, prepare SVGs
+ * Fallback values for every option a staged section understands
  */
-function initializePublications() {
-    publicationItems.forEach(item => {
-        // Wrap and store paragraph text characters
-        const paragraph = item.querySelector('p');
-        if (paragraph) {
-            wrapTextInSpans(paragraph);
-            item.textChars = paragraph.querySelectorAll('span:not(.has-svg-animated)');
-            item.textChars.forEach(char => char.style.opacity = CONFIG.publications.textStartOpacity);
+const ANIMATION_DEFAULTS = {
+    // Text stage: units of every [data-split] element fade in
+    split: 'char',         // 'char' | 'word' | 'line', data-split="word" overrides per element
+    textStart: 0,
+    textEnd: 0.6,
+    textStartOpacity: 0.3,
+    textEasing: 'linear',  // Preset name, 'cubic-bezier(x1, y1, x2, y2)' or [x1, y1, x2, y2]
+    charDuration: 0.3,     // Share of the text stage each unit takes to fade in
+
+    // Headline stage: [data-split][data-stage="headline"] elements, with the text stage while null
+    headlineStart: null,
+    headlineEnd: null,
+
+    // Items stage: optional elements that slide up one after another
+    itemsSelector: null,
+    itemsStart: 0.3,
+    itemStagger: 0.05,
+    itemDuration: 0.6,
+    itemOffset: 100,       // Starting translateY in px
+    itemEasing: 'ease-out-cubic',
+
+    // SVG stage: doodles drawn with stroke-dashoffset
+    svgSelector: '.has-svg-animated svg path, .has-svg-animated svg line, .annotation path',
+    svgStart: 0.1,
+    svgEnd: 0.9,
+    svgSequential: true,
+    strokeEasing: 'linear',
+    fillEasing: 'linear',
+    fillDelay: 0.4,        // Stroke progress at which the fill starts fading in
+
+    // Playback
+    mode: 'scrub',         // 'scrub' | 'once' | 'once-per-session' (see PLAY MODES)
+    backend: 'auto',       // 'auto' uses CSS scroll-driven animations where supported, 'js' forces handleScroll
+
+    // Kiosk mode (see PRESENTATION), null uses CONFIG.present
+    presentDuration: null,
+    presentDwell: null
+};
+
+/**
+ * Section types, keyed by their data-anim value
+ * Each type provides:
+ *   progress(entry)         - Scroll progress through the section (0 to 1), from entry.layout
+ *   init(entry)             - Prepare the DOM (wrap text, initialize SVGs)
+ *   update(entry, progress) - Apply the animation state for a progress value (writes only)
+ *   measure(entry)          - Optional: layout reads update() needs, done before any writes
+ *   refresh(entry)          - Optional: re-measure after a layout change (line splits, path lengths)
+ *   teardown(entry)         - Optional: undo init so the section can be initialized again
+ *   timeline(entry)         - Optional: stage windows and progress markers for the debug overlay
+ *   tracks(entry)           - Optional: scroll timelines for the CSS backend (see SCROLL-DRIVEN BACKEND)
+ *   range(entry)            - Scroll distance (px, view timeline 'cover' offsets) matching progress 0 → 1
+ *   scrollDrivenUpdate(entry) - Optional: JS work still needed while the CSS backend animates
+ *   played(entry)           - Optional: whether the section has fully played (default: progress reached 1)
+ */
+const sectionTypes = {
+    standard: {
+        progress: entry => calculateProgress(entry.layout),
+        // calculateProgress reaches 1 after scrolling half the section
+        range: entry => ({
+            start: window.innerHeight,
+            end: window.innerHeight + (entry.layout.offsetHeight / 2)
+        }),
+        init: initStagedSection,
+        update: updateStagedSection,
+        refresh: refreshStagedSection,
+        teardown: teardownStagedSection,
+        timeline: getStagedTimeline,
+        tracks: getStagedTracks
+    },
+    sticky: {
+        progress: entry => calculateStickyProgress(entry.layout),
+        // calculateStickyProgress covers the scroll while the content is stuck
+        range: entry => ({
+            start: window.innerHeight,
+            end: entry.layout.offsetHeight
+        }),
+        init: initStagedSection,
+        update: updateStagedSection,
+        refresh: refreshStagedSection,
+        teardown: teardownStagedSection,
+        timeline: getStagedTimeline,
+        tracks: getStagedTracks
+    }
+};
+
+// Every discovered section, in document order
+const animatedSections = [];
+
+// Sections within this margin of the viewport are updated on scroll
+const SECTION_VIEWPORT_MARGIN = '50% 0px';
+
+// Tracks which sections are near the viewport, the rest are skipped on scroll
+const sectionObserver = window.IntersectionObserver
+    ? new IntersectionObserver(observed => {
+        observed.forEach(({ target, isIntersecting }) => {
+            const entry = animatedSections.find(candidate => candidate.section === target);
+            if (!entry) return;
+
+            entry.active = isIntersecting;
+            entry.settled = false;
+        });
+        handleScroll();
+    }, { rootMargin: SECTION_VIEWPORT_MARGIN })
+    : null;
+
+/**
+ * Register a section type for sections that need their own logic
+ * @param {string} name - Value used in data-anim
+ * @param {Object} type - Object with progress, init and update functions
+ */
+function registerSectionType(name, type) {
+    sectionTypes[name] = type;
+}
+
+/**
+ * Convert a data attribute string into a number or boolean where possible
+ * @param {string} value - Raw attribute value
+ * @returns {number|boolean|string} - Parsed value
+ */
+function parseDataValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value.trim() !== '' && !isNaN(value)) return Number(value);
+    return value;
+}
+
+/**
+ * CONFIG keys from before the engine, and the options they translate to
+ * A key translating to nothing no longer has an effect
+ */
+const LEGACY_OPTIONS = {
+    startDelay: block => ({ itemsStart: block.startDelay }),
+    itemDelay: block => ({ itemStagger: block.itemDelay }),
+    svgDuration: block => ({ svgEnd: (block.svgStart ?? ANIMATION_DEFAULTS.svgStart) + block.svgDuration }),
+    triggerOffset: () => ({}),      // Logos follow the scroll instead of a viewport trigger
+    animationDuration: () => ({})
+};
+
+// CONFIG.block.key pairs already warned about
+const warnedLegacyOptions = new Set();
+
+/**
+ * Translate the legacy keys of a CONFIG block, warning once per key
+ * Options given under their current name win over the legacy ones
+ * @param {string} name - CONFIG block name
+ * @returns {Object} - Block with legacy keys translated
+ */
+function translateLegacyOptions(name) {
+    const block = CONFIG[name] || {};
+    const translated = Object.fromEntries(Object.entries(block).filter(([key]) => !(key in LEGACY_OPTIONS)));
+
+    Object.keys(block).filter(key => key in LEGACY_OPTIONS).forEach(key => {
+        const options = LEGACY_OPTIONS[key](block);
+        const current = Object.keys(options);
+
+        if (!warnedLegacyOptions.has(`${name}.${key}`)) {
+            warnedLegacyOptions.add(`${name}.${key}`);
+            console.warn(current.length > 0
+                ? `CONFIG.${name}.${key} is deprecated, use ${current.join(', ')}`
+                : `CONFIG.${name}.${key} is deprecated and has no effect`);
         }
-        
-        // Wrap and store button text characters
-        const button = item.querySelector('.section-content-button');
-        if (button) {
-            wrapTextInSpans(button);
-            item.buttonChars = button.querySelectorAll('span:not(.has-svg-animated)');
-            item.buttonChars.forEach(char => char.style.opacity = CONFIG.publications.textStartOpacity);
-            
-            // Store button SVG paths (circled-button)
-            const buttonSvg = button.querySelectorAll('.circled-button path');
-            if (buttonSvg.length > 0) {
-                item.buttonSvg = buttonSvg;
-                initializeSvgPaths(buttonSvg);
-            }
+
+        current.filter(option => !(option in block)).forEach(option => {
+            translated[option] = options[option];
+        });
+    });
+
+    return translated;
+}
+
+/**
+ * Resolve options for a section: ANIMATION_DEFAULTS < CONFIG block < data attributes
+ * Only data attributes naming a known option are read
+ * @param {HTMLElement} section - Section with data-anim
+ * @returns {Object} - Resolved options
+ */
+function resolveAnimationOptions(section) {
+    const options = { ...ANIMATION_DEFAULTS, ...translateLegacyOptions(section.dataset.animConfig) };
+
+    Object.keys(section.dataset).forEach(key => {
+        if (key === 'anim' || key === 'animConfig' || !(key in options)) return;
+        options[key] = parseDataValue(section.dataset[key]);
+    });
+
+    return options;
+}
+
+/**
+ * Whether a section gives its headline a stage of its own
+ * @param {Object} options - Resolved options
+ * @returns {boolean}
+ */
+function hasHeadlineStage(options) {
+    return options.headlineStart !== null && options.headlineEnd !== null;
+}
+
+/**
+ * Whether a split element fades in during the headline stage
+ * @param {HTMLElement} element - [data-split] element
+ * @param {Object} options - Resolved options
+ * @returns {boolean}
+ */
+function isHeadlineElement(element, options) {
+    return hasHeadlineStage(options) && element.dataset.stage === 'headline';
+}
+
+/**
+ * Prepare a staged section: wrap [data-split] text, collect items and SVG paths
+ * @param {Object} entry - Registry entry
+ */
+function initStagedSection(entry) {
+    const { section, options } = entry;
+
+    // SVGs are cloned while wrapping, so paths are queried afterwards
+    // Reduced motion keeps the text as-is, there are no characters to fade
+    entry.textElements = Array.from(section.querySelectorAll('[data-split]'));
+    if (reducedMotion) {
+        entry.headlineChars = [];
+        entry.chars = [];
+    } else {
+        entry.textElements.forEach(element => {
+            wrapTextInSpans(element, element.dataset.split || options.split, () => {
+                // Line split changed after a reflow: restagger and re-apply progress
+                collectTextUnits(entry);
+                entry.type.update(entry, entry.progress);
+                buildScrollAnimations(entry);
+            });
+        });
+        collectTextUnits(entry);
+    }
+
+    entry.items = options.itemsSelector ? section.querySelectorAll(options.itemsSelector) : [];
+    entry.items.forEach(item => {
+        item.style.willChange = 'transform, opacity'; // Performance hint for browser
+    });
+
+    entry.paths = section.querySelectorAll(options.svgSelector);
+    initializeSvgPaths(entry.paths);
+}
+
+/**
+ * Gather the text units of every split element of a section, in reading order
+ * Headline units are kept apart when the section gives them their own stage
+ * @param {Object} entry - Registry entry
+ */
+function collectTextUnits(entry) {
+    const isHeadline = element => isHeadlineElement(element, entry.options);
+
+    entry.headlineChars = entry.textElements.filter(isHeadline).flatMap(element => getSplitUnits(element));
+    entry.chars = entry.textElements.filter(element => !isHeadline(element)).flatMap(element => getSplitUnits(element));
+}
+
+/**
+ * Fade in text units over one stage window
+ * @param {HTMLElement[]} chars - Units to animate
+ * @param {number} progress - Section progress (0 to 1)
+ * @param {number} start - Stage start
+ * @param {number} end - Stage end
+ * @param {Object} options - Resolved options
+ */
+function animateTextStage(chars, progress, start, end, options) {
+    const textProgress = getStageProgress(progress, start, end);
+    if (textProgress >= 1) {
+        // Ensure all characters are at full opacity after animation completes
+        chars.forEach(char => setUnitOpacity(char, 1));
+    } else {
+        animateTextCharacters(chars, textProgress, options.textStartOpacity, options);
+    }
+}
+
+/**
+ * Animate a staged section based on its progress:
+ * Stage 1: Text characters fade in (textStart → textEnd), headline ones
+ *          during headlineStart → headlineEnd when set
+ * Stage 2: Items slide up sequentially (itemsStart+)
+ * Stage 3: SVG paths draw in (svgStart → svgEnd)
+ * @param {Object} entry - Registry entry
+ * @param {number} progress - Section progress (0 to 1)
+ */
+function updateStagedSection(entry, progress) {
+    const { options } = entry;
+
+    // Stage 1: Animate text characters
+    if (entry.headlineChars.length > 0) {
+        animateTextStage(entry.headlineChars, progress, options.headlineStart, options.headlineEnd, options);
+    }
+    animateTextStage(entry.chars, progress, options.textStart, options.textEnd, options);
+
+    // Stage 2: Animate items
+    animateItems(entry.items, progress, options);
+
+    // Stage 3: Animate SVG paths
+    if (entry.paths.length > 0) {
+        const svgProgress = getStageProgress(progress, options.svgStart, options.svgEnd);
+        animateSvgPaths(entry.paths, svgProgress, options.svgSequential, null, options);
+    }
+}
+
+/**
+ * Re-measure a staged section after a layout change
+ * @param {Object} entry - Registry entry
+ */
+function refreshStagedSection(entry) {
+    entry.textElements.forEach(element => {
+        if (splitModes.get(element) === 'line') measureLines(element);
+    });
+    collectTextUnits(entry);
+    refreshSvgPaths(entry.paths);
+}
+
+/**
+ * Undo initStagedSection: restore split text and remove inline animation styles
+ * @param {Object} entry - Registry entry
+ */
+function teardownStagedSection(entry) {
+    entry.section.querySelectorAll('[data-split]').forEach(element => unwrapTextSpans(element));
+
+    entry.items.forEach(item => {
+        item.style.transform = '';
+        item.style.opacity = '';
+        item.style.willChange = '';
+    });
+
+    // Paths outside [data-split] elements survive the unwrap and keep their styles
+    clearSvgPaths(entry.paths);
+}
+
+/**
+ * Describe a staged section's timeline: one window per stage and its progress
+ * @param {Object} entry - Registry entry
+ * @returns {Object} - { windows: [{ stage, start, end }], markers: [progress] }
+ */
+function getStagedTimeline(entry) {
+    const { options } = entry;
+    const windows = [];
+    const isHeadline = element => isHeadlineElement(element, options);
+
+    // A section whose only text is its headline has no text stage to show
+    if (entry.textElements.length === 0 || !entry.textElements.every(isHeadline)) {
+        windows.push({ stage: 'text', start: options.textStart, end: options.textEnd });
+    }
+
+    if (entry.textElements.some(isHeadline)) {
+        windows.push({ stage: 'headline', start: options.headlineStart, end: options.headlineEnd });
+    }
+
+    if (entry.items.length > 0) {
+        const itemsEnd = options.itemsStart + ((entry.items.length - 1) * options.itemStagger) + options.itemDuration;
+        windows.push({ stage: 'items', start: options.itemsStart, end: itemsEnd });
+    }
+
+    if (entry.paths.length > 0) {
+        windows.push({ stage: 'svg', start: options.svgStart, end: options.svgEnd });
+    }
+
+    return { windows, markers: [entry.progress] };
+}
+
+/**
+ * A staged section is a single scroll timeline over the whole section
+ * @param {Object} entry - Registry entry
+ * @returns {Object[]} - Tracks for buildScrollAnimations
+ */
+function getStagedTracks(entry) {
+    const { start, end } = entry.type.range(entry);
+
+    return [{
+        subject: entry.section,
+        rangeStart: start,
+        rangeEnd: end,
+        elements: [...entry.headlineChars.flat(), ...entry.chars.flat(), ...entry.items, ...entry.paths],
+        windows: getStagedTimeline(entry).windows,
+        apply: progress => updateStagedSection(entry, progress)
+    }];
+}
+
+/**
+ * Discover every [data-anim] section and initialize it
+ * @param {Document|HTMLElement} root - Where to look for sections (the current view)
+ */
+function initializeAnimatedSections(root = document) {
+    root.querySelectorAll('[data-anim]').forEach(section => {
+        const type = sectionTypes[section.dataset.anim];
+        if (!type) {
+            console.warn('Unknown data-anim type:', section.dataset.anim, section);
+            return;
         }
-        
-        // Store header SVG paths (underline)
-        const headerSvg = item.querySelectorAll('.publication-sticky-header .has-svg-animated svg line, .publication-sticky-header .has-svg-animated svg path');
-        if (headerSvg.length > 0) {
-            item.headerSvg = headerSvg;
-            initializeSvgPaths(headerSvg);
+
+        const entry = {
+            section,
+            type,
+            options: resolveAnimationOptions(section),
+            progress: 0,
+            scrollAnimations: [],  // CSS backend animations, empty when JS drives the section
+            active: true,     // Near the viewport (until the observer says otherwise)
+            settled: false,   // Final state applied after leaving the viewport
+            lifecycle: { visible: false, step: 0, complete: false }  // Last state reported (see EVENTS)
+        };
+        restorePlayedState(entry);
+        type.init(entry);
+        animatedSections.push(entry);
+        if (sectionObserver) sectionObserver.observe(section);
+    });
+
+    animatedSections.forEach(measureSectionLayout);
+    animatedSections.forEach(buildScrollAnimations);
+}
+
+/**
+ * Cache the offsets progress is calculated from (re-measured by refreshLayout)
+ * @param {Object} entry - Registry entry
+ */
+function measureSectionLayout(entry) {
+    entry.layout = {
+        offsetTop: entry.section.offsetTop,
+        offsetHeight: entry.section.offsetHeight
+    };
+}
+
+/**
+ * Whether a section takes no space: hidden, or filtered out (see MODE SWITCH)
+ * Reads the cached layout, collapsed sections have no progress to show
+ * @param {Object} entry - Registry entry
+ * @returns {boolean}
+ */
+function isSectionCollapsed(entry) {
+    return entry.layout.offsetHeight === 0;
+}
+
+/**
+ * Scroll position at which a section reaches a progress value
+ * Types without a range only know their top
+ * @param {Object} entry - Registry entry
+ * @param {number} progress - Section progress (0 to 1)
+ * @returns {number} - window.scrollY in px
+ */
+function getSectionScrollPosition(entry, progress) {
+    if (!entry.type.range) return entry.layout.offsetTop;
+
+    // Range offsets are 'cover' offsets: 0 is the section top at the viewport bottom
+    const { start, end } = entry.type.range(entry);
+    return entry.layout.offsetTop - window.innerHeight + start + (progress * (end - start));
+}
+
+/**
+ * Progress at which every stage of a section has finished
+ * @param {Object} entry - Registry entry
+ * @returns {number} - Section progress (0 to 1)
+ */
+function getSectionCompleteProgress(entry) {
+    if (!entry.type.timeline) return 1;
+
+    const ends = entry.type.timeline(entry).windows.map(({ end }) => end);
+    return Math.min(1, Math.max(0, ...ends));
+}
+
+/**
+ * Measure and apply the current progress of the sections near the viewport
+ * All reads (progress, measure) happen before any style is written
+ * @param {boolean} all - Update every section, also the ones far off screen
+ */
+function updateAnimatedSections(all = false) {
+    // Sections that just left the viewport get one last update so they settle
+    // at their start or end state instead of freezing halfway
+    const due = (all ? animatedSections : animatedSections.filter(entry => entry.active || !entry.settled))
+        .filter(entry => !isSectionCollapsed(entry));
+
+    // Read phase
+    due.forEach(entry => {
+        // Reduced motion shows every section in its finished state, the kiosk
+        // clock replays sections on every loop (see PRESENTATION)
+        if (reducedMotion) {
+            entry.progress = 1;
+        } else if (isPresenting()) {
+            entry.progress = getPresentationProgress(entry);
+        } else {
+            entry.progress = holdProgress(entry, entry.type.progress(entry), entry.options.mode);
+        }
+        if (entry.type.measure) entry.type.measure(entry);
+        // Only what a visitor scrolled through counts as played, not the kiosk tour
+        if (!reducedMotion && !isPresenting()) rememberPlayedState(entry);
+    });
+
+    // Write phase
+    due.forEach(entry => {
+        if (entry.scrollAnimations.length === 0) {
+            entry.type.update(entry, entry.progress);
+        } else if (entry.type.scrollDrivenUpdate) {
+            entry.type.scrollDrivenUpdate(entry);
         }
+        entry.settled = !entry.active;
+    });
+
+    // Events last, so subscribers see the page as updated
+    animatedSections.forEach(entry => emitSectionEvents(entry));
+}
+
+/**
+ * Tear down and initialize every registered section again, then re-apply progress
+ * Used when the DOM or the animation mode changes without a page reload
+ * Entries are kept, so progress and play state carry over
+ * @param {Function} beforeInit - Optional, changes the DOM while every section is torn down
+ */
+function reinitializeAnimatedSections(beforeInit = null) {
+    animatedSections.forEach(entry => {
+        cancelScrollAnimations(entry);
+        if (entry.type.teardown) entry.type.teardown(entry);
+    });
+    if (beforeInit) beforeInit();
+    animatedSections.forEach(entry => {
+        entry.options = resolveAnimationOptions(entry.section);
+        entry.type.init(entry);
+    });
+    animatedSections.forEach(measureSectionLayout);
+    animatedSections.forEach(buildScrollAnimations);
+    updateAnimatedSections(true);
+}
+
+/**
+ * Undo initializeAnimatedSections and empty the registry, before a view is swapped out
+ */
+function teardownAnimatedSections() {
+    animatedSections.forEach(entry => {
+        emitSectionEvents(entry, false);
+        cancelScrollAnimations(entry);
+        if (entry.type.teardown) entry.type.teardown(entry);
+        if (sectionObserver) sectionObserver.unobserve(entry.section);
+    });
+    animatedSections.length = 0;
+}
+
+// ============================================
+// PLAY MODES
+// ============================================
+// Sections scrub by default: scrolling back up reverses the animation.
+// mode: 'once' keeps the furthest progress reached, so a section animates
+// forward and then stays complete. 'once-per-session' also remembers finished
+// sections in sessionStorage and shows them complete on the next page view.
+
+const PLAYED_STORAGE_PREFIX = 'anim-played:';
+
+/**
+ * Apply a play mode to a freshly measured progress value
+ * @param {Object} state - Registry entry or publication item, keeps playedProgress
+ * @param {number} progress - Measured progress (0 to 1)
+ * @param {string} mode - 'scrub', 'once' or 'once-per-session'
+ * @returns {number} - Progress to animate to
+ */
+function holdProgress(state, progress, mode) {
+    if (mode === 'scrub') return progress;
+
+    state.playedProgress = Math.max(state.playedProgress || 0, progress);
+    return state.playedProgress;
+}
+
+/**
+ * sessionStorage key for a section
+ * Sections without an id are keyed by the route shown (see ROUTER) and their
+ * position among the [data-anim] sections, which is known before registration
+ * @param {Object} entry - Registry entry
+ * @returns {string}
+ */
+function getPlayedStorageKey(entry) {
+    if (entry.section.id) return PLAYED_STORAGE_PREFIX + entry.section.id;
+
+    const position = Array.from(document.querySelectorAll('[data-anim]')).indexOf(entry.section);
+    return `${PLAYED_STORAGE_PREFIX}${document.body.dataset.route || ''}/${position}`;
+}
+
+/**
+ * Show a 'once-per-session' section complete if it already played in this session
+ * @param {Object} entry - Registry entry
+ */
+function restorePlayedState(entry) {
+    if (entry.options.mode !== 'once-per-session') return;
+
+    try {
+        entry.playedBefore = sessionStorage.getItem(getPlayedStorageKey(entry)) === '1';
+    } catch (error) {
+        entry.playedBefore = false; // Storage blocked: behave like 'once'
+    }
+    if (entry.playedBefore) entry.playedProgress = 1;
+}
+
+/**
+ * Remember a 'once-per-session' section as soon as it has fully played
+ * @param {Object} entry - Registry entry
+ */
+function rememberPlayedState(entry) {
+    if (entry.options.mode !== 'once-per-session' || entry.playedBefore) return;
+
+    const played = entry.type.played ? entry.type.played(entry) : entry.progress >= 1;
+    if (!played) return;
+
+    entry.playedBefore = true;
+    try {
+        sessionStorage.setItem(getPlayedStorageKey(entry), '1');
+    } catch (error) {
+        // Storage blocked: the section still stays complete for this page view
+    }
+}
+
+// ============================================
+// SCROLL-DRIVEN BACKEND
+// ============================================
+// Where CSS scroll-driven animations are supported, every section is sampled once
+// through its own update() and handed to the browser as keyframes on a ViewTimeline,
+// so scrolling runs no JS per frame. The handleScroll path stays the fallback, and
+// both backends show the same state at the same progress values.
+// A section opts out with data-backend="js" (or backend: 'js' in CONFIG).
+// Scroll timelines always scrub, so sections in a play-once mode stay on JS, and
+// so does every section in kiosk mode, where a clock drives progress (see PRESENTATION).
+
+// Keyframe resolution: samples per timeline, plus one pair around every stage boundary
+const SCROLL_TIMELINE_SAMPLES = 100;
+
+// Styles the update() functions write, and so the ones turned into keyframes
+const SCROLL_ANIMATED_PROPERTIES = ['opacity', 'transform', 'strokeDashoffset', 'fillOpacity'];
+
+const scrollTimelinesSupported = Boolean(
+    window.CSS && CSS.supports && CSS.supports('animation-timeline: view()') && window.ViewTimeline
+);
+
+/**
+ * Check whether a section should be animated by the CSS backend
+ * @param {Object} entry - Registry entry
+ * @returns {boolean}
+ */
+function shouldUseScrollTimelines(entry) {
+    return scrollTimelinesSupported
+        && !reducedMotion
+        && !presentMode
+        && entry.options.backend !== 'js'
+        && entry.options.mode === 'scrub'
+        && Boolean(entry.type.tracks);
+}
+
+/**
+ * Progress values to sample: an even grid plus both sides of every stage boundary,
+ * so instant changes (e.g. text snapping to full opacity at textEnd) stay instant
+ * @param {Object[]} windows - Stage windows ({ start, end })
+ * @returns {number[]} - Sorted offsets between 0 and 1
+ */
+function getSampleOffsets(windows) {
+    const offsets = new Set();
+    for (let i = 0; i <= SCROLL_TIMELINE_SAMPLES; i++) offsets.add(i / SCROLL_TIMELINE_SAMPLES);
+
+    windows.forEach(({ start, end }) => {
+        [start, end].forEach(boundary => {
+            if (boundary <= 0 || boundary > 1) return;
+            offsets.add(boundary);
+            offsets.add(Math.max(0, boundary - 0.0001));
+        });
+    });
+
+    return Array.from(offsets).sort((a, b) => a - b);
+}
+
+/**
+ * Run a track's update at every offset and record the styles it writes
+ * @param {Object} track - Track from a section type
+ * @param {number[]} offsets - Progress values to sample
+ * @returns {Map<Element, Object[]>} - Keyframes per element
+ */
+function sampleKeyframes(track, offsets) {
+    const keyframes = new Map(track.elements.map(element => [element, []]));
+
+    offsets.forEach(offset => {
+        track.apply(offset);
+        keyframes.forEach((frames, element) => {
+            const frame = { offset };
+            SCROLL_ANIMATED_PROPERTIES.forEach(property => {
+                if (element.style[property] !== '') frame[property] = element.style[property];
+            });
+            frames.push(frame);
+        });
+    });
+
+    return keyframes;
+}
+
+/**
+ * Drop keyframes that sit in the middle of a run of identical values
+ * @param {Object[]} frames - Sampled keyframes
+ * @returns {Object[]} - Keyframes with the same visual result
+ */
+function compactKeyframes(frames) {
+    const sameStyle = (a, b) => SCROLL_ANIMATED_PROPERTIES.every(property => a[property] === b[property]);
+
+    return frames.filter((frame, index) => {
+        if (index === 0 || index === frames.length - 1) return true;
+        return !sameStyle(frames[index - 1], frame) || !sameStyle(frame, frames[index + 1]);
+    });
+}
+
+/**
+ * Stop the CSS backend for a section (it falls back to handleScroll)
+ * @param {Object} entry - Registry entry
+ */
+function cancelScrollAnimations(entry) {
+    entry.scrollAnimations.forEach(animation => animation.cancel());
+    entry.scrollAnimations = [];
+}
+
+/**
+ * (Re)create the scroll-driven animations of a section from its current options and layout
+ * @param {Object} entry - Registry entry
+ */
+function buildScrollAnimations(entry) {
+    cancelScrollAnimations(entry);
+    if (!shouldUseScrollTimelines(entry)) return;
+
+    entry.type.tracks(entry).forEach(track => {
+        if (track.rangeEnd <= track.rangeStart || track.elements.length === 0) return;
+
+        const keyframes = sampleKeyframes(track, getSampleOffsets(track.windows));
+        const timeline = new ViewTimeline({ subject: track.subject });
+
+        keyframes.forEach((frames, element) => {
+            entry.scrollAnimations.push(element.animate(compactKeyframes(frames), {
+                timeline,
+                rangeStart: `cover ${track.rangeStart}px`,
+                rangeEnd: `cover ${track.rangeEnd}px`,
+                fill: 'both'
+            }));
+        });
     });
 }
 
+// ============================================
+// LAYOUT
+// ============================================
+// Offsets, sticky ranges, path lengths and line splits depend on the layout, so
+// they are re-measured (debounced) on resize, rotation and late-loading content
+
+const LAYOUT_REFRESH_DELAY = 200; // ms after the last resize event
+
+let layoutRefreshTimeout;
+
+/**
+ * Re-measure every section and re-apply its current progress
+ * Nothing jumps or stays half-drawn after the viewport changes
+ */
+function refreshLayout() {
+    // Marks follow the size of the words they annotate, refresh() picks up the new lengths
+    drawAnnotations();
+    animatedSections.forEach(entry => {
+        if (entry.type.refresh) entry.type.refresh(entry);
+    });
+    animatedSections.forEach(measureSectionLayout);
+
+    // Timeline ranges are in px, so they follow the new viewport and offsets
+    animatedSections.forEach(buildScrollAnimations);
+
+    // A deep link opened on load stays in view while content above it loads
+    keepDeepLinkInView();
+    updateAnimatedSections(true);
+}
+
+/**
+ * Debounce refreshLayout while the window is being resized or rotated
+ */
+function scheduleLayoutRefresh() {
+    clearTimeout(layoutRefreshTimeout);
+    layoutRefreshTimeout = setTimeout(refreshLayout, LAYOUT_REFRESH_DELAY);
+}
+
+// ============================================
+// PUBLICATIONS SECTION
+// ============================================
+const publicationsSection = document.querySelector('#publicationsSection');
+
+// Rendered from JSON after load (see PUBLICATIONS CONTENT)
+let publicationItems = document.querySelectorAll('.publication');
+let publicationImages = document.querySelectorAll('.publication-image');
+let publicationSlides = [];
+
+// Small screens: inline images and the swipe gallery instead of the image column
+const compactPublicationsQuery = getBreakpointQuery(CONFIG.publications.compactBreakpoint);
+
+// Category centered in the viewport, and the one a gallery jump is heading to
+let activePublication = null;
+let publicationJumpTarget = null;
+
+// The gallery is being scrolled to follow the page, not swiped
+let galleryFollowing = false;
+
+/**
+ * Initialize publications: wrap text/buttons, prepare SVGs
+ */
+function initializePublications() {
+    publicationItems.forEach(item => {
+        // Wrap and store paragraph text characters
+        const paragraph = item.querySelector('p');
+        if (paragraph && !reducedMotion) {
+            wrapTextInSpans(paragraph, CONFIG.publications.split, () => {
+                item.textChars = getSplitUnits(paragraph);
+                animatePublications();
+
+                const entry = animatedSections.find(candidate => candidate.section === publicationsSection);
+                if (entry) buildScrollAnimations(entry);
+            });
+            item.textChars = getSplitUnits(paragraph);
+            item.textChars.forEach(char => setUnitOpacity(char, CONFIG.publications.textStartOpacity));
+            item.progress = 0;
+        }
+        
+        // Wrap and store button text characters
+        const button = item.querySelector('.section-content-button');
+        if (button) {
+            if (!reducedMotion) {
+                wrapTextInSpans(button);
+                item.buttonChars = getSplitUnits(button);
+                item.buttonChars.forEach(char => setUnitOpacity(char, CONFIG.publications.textStartOpacity));
+            }
+
+            // Store button SVG paths (circled-button)
+            const buttonSvg = button.querySelectorAll('.circled-button path');
+            if (buttonSvg.length > 0) {
+                item.buttonSvg = buttonSvg;
+                initializeSvgPaths(buttonSvg);
+            }
+        }
+        
+        // Store header SVG paths (underline)
+        const headerSvg = item.querySelectorAll('.publication-sticky-header .has-svg-animated svg line, .publication-sticky-header .has-svg-animated svg path, .publication-sticky-header .annotation path');
+        if (headerSvg.length > 0) {
+            item.headerSvg = headerSvg;
+            initializeSvgPaths(headerSvg);
+        }
+
+        // Inline image (shown on small screens only)
+        item.inlineImage = item.querySelector('.publication-inline-image');
+    });
+}
+
+/**
+ * Re-measure publications after a layout change
+ */
+function refreshPublications() {
+    publicationItems.forEach(item => {
+        const paragraph = item.querySelector('p');
+        if (paragraph && splitModes.get(paragraph) === 'line') {
+            measureLines(paragraph);
+            item.textChars = getSplitUnits(paragraph);
+        }
+
+        if (item.headerSvg) refreshSvgPaths(item.headerSvg);
+        if (item.buttonSvg) refreshSvgPaths(item.buttonSvg);
+    });
+}
+
+/**
+ * Undo initializePublications: restore wrapped text and drop cached references
+ */
+function teardownPublications() {
+    publicationItems.forEach(item => {
+        const paragraph = item.querySelector('p');
+        if (paragraph) unwrapTextSpans(paragraph);
+
+        const button = item.querySelector('.section-content-button');
+        if (button) unwrapTextSpans(button);
+
+        if (item.headerSvg) clearSvgPaths(item.headerSvg);
+
+        if (item.inlineImage) {
+            item.inlineImage.style.opacity = '';
+            item.inlineImage.style.transform = '';
+        }
+
+        item.textChars = null;
+        item.buttonChars = null;
+        item.buttonSvg = null;
+        item.headerSvg = null;
+        item.inlineImage = null;
+    });
+}
+
+/**
+ * Calculate animation progress based on viewport position
+ */
+function calculatePublicationProgress(rect) {
+    const entry = window.innerHeight * CONFIG.publications.viewportEntryPoint;
+    const complete = window.innerHeight * CONFIG.publications.viewportCompletePoint;
+    
+    if (rect.top <= complete) return 1;
+    if (rect.top >= entry) return 0;
+    
+    return 1 - ((rect.top - complete) / (entry - complete));
+}
+
+/**
+ * Animate character opacity
+ */
+function animateChars(chars, progress) {
+    if (!chars) return;
+    
+    if (progress >= 1) {
+        chars.forEach(char => setUnitOpacity(char, 1));
+    } else if (progress > 0) {
+        animateTextCharacters(chars, progress, CONFIG.publications.textStartOpacity, CONFIG.publications);
+    } else {
+        chars.forEach(char => setUnitOpacity(char, CONFIG.publications.textStartOpacity));
+    }
+}
+
+/**
+ * Animate SVG paths with threshold trigger
+ */
+function animateSvg(paths, progress) {
+    if (!paths) return;
+    
+    const threshold = CONFIG.publications.svgTriggerThreshold;
+    const duration = CONFIG.publications.svgAnimationDuration;
+    
+    if (progress < threshold) {
+        resetSvgPaths(paths);
+    } else if (progress >= threshold + duration) {
+        animateSvgPaths(paths, 1, true, null, CONFIG.publications);
+    } else {
+        const svgProgress = (progress - threshold) / duration;
+        animateSvgPaths(paths, svgProgress, true, null, CONFIG.publications);
+    }
+}
+
+/**
+ * Read the position and progress of every publication (no style writes)
+ * @param {Object} entry - Registry entry (play mode)
+ */
+function measurePublications(entry) {
+    publicationItems.forEach(item => {
+        item.rect = item.getBoundingClientRect();
+        item.progress = reducedMotion || entry.playedBefore
+            ? 1
+            : holdProgress(item, calculatePublicationProgress(item.rect), entry.options.mode);
+    });
+}
+
+/**
+ * Publications have played once every item has
+ * @returns {boolean}
+ */
+function havePublicationsPlayed() {
+    return publicationItems.length > 0 && Array.from(publicationItems).every(item => item.progress >= 1);
+}
+
+/**
+ * Category of the publication closest to the viewport center
+ * Uses the positions cached by measurePublications
+ * @returns {string|null} - Category id, null while no publication is in view
+ */
+function getCenteredPublication() {
+    const center = window.innerHeight / 2;
+    let closest = { distance: Infinity, publication: null };
+    
+    publicationItems.forEach(item => {
+        const rect = item.rect;
+        if (!rect) return;
+        if (rect.top < window.innerHeight && rect.bottom > 0) {
+            const itemCenter = rect.top + rect.height / 2;
+            const distance = Math.abs(itemCenter - center);
+            
+            if (distance < closest.distance) {
+                closest = { distance, publication: item.dataset.publication };
+            }
+        }
+    });
+
+    return closest.publication;
+}
+
+/**
+ * Update active image based on closest publication to viewport center
+ */
+function updateActiveImage() {
+    if (publicationImages.length === 0) return;
+    
+    const publication = getCenteredPublication();
+    if (publication) {
+        publicationImages.forEach(img => {
+            img.classList.toggle('active', img.dataset.publication === publication);
+        });
+    }
+}
+
+/**
+ * Mark the gallery slide of the centered category and scroll it into the strip
+ * While a gallery jump runs, the slide that was picked stays marked
+ */
+function updateActiveSlide() {
+    if (publicationSlides.length === 0) return;
+
+    const publication = publicationJumpTarget || getCenteredPublication();
+    if (!publication || publication === activePublication) return;
+
+    activePublication = publication;
+    publicationSlides.forEach(slide => {
+        slide.setAttribute('aria-current', String(slide.dataset.publication === publication));
+    });
+
+    const gallery = publicationsSection.querySelector('#publicationsGallery');
+    const slide = publicationSlides.find(candidate => candidate.dataset.publication === publication);
+    const left = slide.offsetLeft - ((gallery.clientWidth - slide.offsetWidth) / 2);
+    if (Math.abs(gallery.scrollLeft - left) < 1) return;
+
+    galleryFollowing = true;
+    gallery.scrollTo({ left, behavior: reducedMotion ? 'instant' : 'smooth' });
+}
+
+/**
+ * Scroll the page to a category picked in the gallery
+ * @param {string} publication - Category id
+ */
+function jumpToPublication(publication) {
+    const item = Array.from(publicationItems).find(candidate => candidate.dataset.publication === publication);
+    if (!item) return;
+
+    publicationJumpTarget = publication;
+    item.scrollIntoView({ behavior: reducedMotion ? 'instant' : 'smooth', block: 'start' });
+    updateActiveSlide();
+    if (reducedMotion) publicationJumpTarget = null;
+}
+
+/**
+ * A swipe came to rest: open the category of the slide in the middle of the strip
+ * @param {HTMLElement} gallery - #publicationsGallery
+ */
+function settleGallerySwipe(gallery) {
+    if (galleryFollowing) {
+        galleryFollowing = false;
+        return;
+    }
+
+    const center = gallery.scrollLeft + (gallery.clientWidth / 2);
+    let closest = { distance: Infinity, slide: null };
+    publicationSlides.forEach(slide => {
+        const distance = Math.abs(slide.offsetLeft + (slide.offsetWidth / 2) - center);
+        if (distance < closest.distance) closest = { distance, slide };
+    });
+
+    if (closest.slide && closest.slide.dataset.publication !== activePublication) {
+        jumpToPublication(closest.slide.dataset.publication);
+    }
+}
+
+/**
+ * Wire up the swipe gallery (rendered by fillPublications)
+ */
+function initializePublicationsGallery() {
+    const gallery = publicationsSection.querySelector('#publicationsGallery');
+    if (!gallery) return;
+
+    gallery.addEventListener('click', event => {
+        const slide = event.target.closest('[data-publication]');
+        if (slide) jumpToPublication(slide.dataset.publication);
+    });
+    gallery.addEventListener('scrollend', () => settleGallerySwipe(gallery));
+
+    // The page jump has landed, the gallery follows the scroll again
+    window.addEventListener('scrollend', () => {
+        publicationJumpTarget = null;
+    });
+}
+
+/**
+ * Publications animate per item, so the timeline shows one marker per publication
+ * @returns {Object} - { windows: [{ stage, start, end }], markers: [progress] }
+ */
+function getPublicationsTimeline() {
+    const threshold = CONFIG.publications.svgTriggerThreshold;
+    return {
+        windows: [
+            { stage: 'text', start: 0, end: 1 },
+            { stage: 'svg', start: threshold, end: threshold + CONFIG.publications.svgAnimationDuration },
+            { stage: 'items', start: CONFIG.publications.imageRevealStart, end: CONFIG.publications.imageRevealEnd }
+        ],
+        markers: Array.from(publicationItems, item => item.progress || 0)
+    };
+}
+
+/**
+ * Main animation function - called on scroll, after measurePublications
+ */
+function animatePublications() {
+    if (!publicationsSection) return;
+    
+    publicationItems.forEach(item => animatePublication(item, item.progress || 0));
+    
+    updatePublicationImages();
+}
+
+/**
+ * Animate a single publication for a progress value
+ * @param {HTMLElement} item - .publication element
+ * @param {number} progress - Item progress (0 to 1)
+ */
+function animatePublication(item, progress) {
+    // Animate text and button characters (synced)
+    animateChars(item.textChars, progress);
+    animateChars(item.buttonChars, progress);
+
+    // Animate SVGs (triggered at threshold)
+    animateSvg(item.headerSvg, progress);
+    animateSvg(item.buttonSvg, progress);
+
+    // Slide the inline image in
+    if (item.inlineImage) {
+        const { imageRevealStart, imageRevealEnd, imageRevealOffset } = CONFIG.publications;
+        const eased = 1 - Math.pow(1 - getStageProgress(progress, imageRevealStart, imageRevealEnd), 3);
+        item.inlineImage.style.opacity = eased;
+        item.inlineImage.style.transform = `translateY(${imageRevealOffset * (1 - eased)}px)`;
+    }
+}
+
+/**
+ * Crossfade the image column on large screens, follow with the gallery on small ones
+ */
+function updatePublicationImages() {
+    if (compactPublicationsQuery.matches) {
+        updateActiveSlide();
+    } else {
+        updateActiveImage();
+    }
+}
+
+/**
+ * Each publication gets its own scroll timeline, matching calculatePublicationProgress:
+ * 0 when its top reaches viewportEntryPoint, 1 at viewportCompletePoint
+ * @returns {Object[]} - Tracks for buildScrollAnimations
+ */
+function getPublicationTracks() {
+    const viewportHeight = window.innerHeight;
+    const { windows } = getPublicationsTimeline();
+
+    return Array.from(publicationItems, item => ({
+        subject: item,
+        rangeStart: viewportHeight * (1 - CONFIG.publications.viewportEntryPoint),
+        rangeEnd: viewportHeight * (1 - CONFIG.publications.viewportCompletePoint),
+        elements: [
+            ...Array.from(item.textChars || []).flat(),
+            ...Array.from(item.buttonChars || []).flat(),
+            ...Array.from(item.headerSvg || []),
+            ...Array.from(item.buttonSvg || []),
+            ...(item.inlineImage ? [item.inlineImage] : [])
+        ],
+        windows,
+        apply: progress => animatePublication(item, progress)
+    }));
+}
+
+registerSectionType('publications', {
+    progress: entry => calculateProgress(entry.layout, 1),
+    init: initializePublications,
+    measure: measurePublications,
+    update: animatePublications,
+    refresh: refreshPublications,
+    timeline: getPublicationsTimeline,
+    tracks: getPublicationTracks,
+    scrollDrivenUpdate: updatePublicationImages,
+    played: havePublicationsPlayed,
+    teardown: teardownPublications
+});
+
+// ============================================
+// PUBLICATIONS CONTENT
+// ============================================
+// Publications live in a JSON file instead of index.html:
+//
+//   categories:   { id, title: [lines], description, cover }
+//   publications: { title, type (category id), date (YYYY-MM-DD), venue, abstract, link, cover }
+//
+// Category titles and descriptions may be given per language
+// ({ "ro": ..., "en": ... }, see I18N); publications stay in the language they were written in.
+//
+// The home page renders one .publication block per category from the
+// templates in #publicationsSection, publicatii.html lists the entries of
+// one category. Adding an essay only means adding it to the JSON.
+
+const PUBLICATIONS_DATA_URL = './assets/data/publications.json';
+const PUBLICATIONS_LISTING_URL = './publicatii.html';
+
+// Request shared by the home page and the listing
+let publicationsDataRequest = null;
+
+// Content file rendered on the home page, kept for language switches
+let publicationsData = null;
+
+/**
+ * Fetch the publications content file (once, or again after a failure)
+ * @returns {Promise<Object>} - { categories, publications }
+ */
+function loadPublicationsData() {
+    if (!publicationsDataRequest) {
+        publicationsDataRequest = fetch(PUBLICATIONS_DATA_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                // The next call (language switch, listing navigation) tries again
+                publicationsDataRequest = null;
+                throw error;
+            });
+    }
+    return publicationsDataRequest;
+}
+
+/**
+ * URL of the listing view for a category
+ * @param {string} category - Category id
+ * @param {Object} params - Extra query parameters (sortare, pagina)
+ * @returns {string}
+ */
+function getListingUrl(category, params = {}) {
+    const query = new URLSearchParams({ categorie: category, ...params });
+    return `${PUBLICATIONS_LISTING_URL}?${query}`;
+}
+
+/**
+ * Build the .publication block of a category from #publicationTemplate
+ * @param {Object} category - Category from the content file
+ * @returns {HTMLElement}
+ */
+function createPublicationBlock(category) {
+    const template = document.querySelector('#publicationTemplate');
+    const lineTemplate = document.querySelector('#publicationHeaderLineTemplate');
+    const block = template.content.firstElementChild.cloneNode(true);
+    block.dataset.publication = category.id;
+
+    // Every title line gets its own underline
+    const header = block.querySelector('.publication-sticky-header');
+    localize(category.title).forEach((line, index) => {
+        if (index > 0) header.appendChild(document.createElement('br'));
+        const span = lineTemplate.content.firstElementChild.cloneNode(true);
+        span.insertBefore(document.createTextNode(`${line} `), span.firstChild);
+        header.appendChild(span);
+    });
+
+    block.querySelector('.publication-inline-image').src = category.cover;
+    block.querySelector('p').textContent = localize(category.description);
+    block.querySelector('.section-content-button').href = getListingUrl(category.id);
+
+    return block;
+}
+
+/**
+ * Build the gallery slide of a category
+ * @param {Object} category - Category from the content file
+ * @returns {HTMLElement}
+ */
+function createPublicationSlide(category) {
+    const slide = document.createElement('button');
+    slide.type = 'button';
+    slide.className = 'publications-gallery-slide';
+    slide.dataset.publication = category.id;
+    slide.setAttribute('aria-current', String(category.id === activePublication));
+
+    const image = document.createElement('img');
+    image.src = category.cover;
+    image.alt = '';
+    const caption = document.createElement('span');
+    caption.textContent = localize(category.title).join(' ');
+
+    slide.append(image, caption);
+    return slide;
+}
+
+/**
+ * Build the category blocks and images (the section must not be initialized)
+ * @param {Object} data - Content file
+ */
+function fillPublications(data) {
+    const list = publicationsSection.querySelector('#publicationsList');
+    const images = publicationsSection.querySelector('#publicationsImages');
+
+    list.replaceChildren(...data.categories.map(createPublicationBlock));
+    images.replaceChildren(...data.categories.map((category, index) => {
+        const image = document.createElement('img');
+        image.src = category.cover;
+        image.alt = localize(category.title).join(' ');
+        image.className = index === 0 ? 'publication-image active' : 'publication-image';
+        image.dataset.publication = category.id;
+        return image;
+    }));
+    list.removeAttribute('aria-busy');
+
+    const gallery = publicationsSection.querySelector('#publicationsGallery');
+    if (gallery) {
+        publicationSlides = data.categories.map(createPublicationSlide);
+        gallery.replaceChildren(...publicationSlides);
+    }
+
+    publicationItems = list.querySelectorAll('.publication');
+    publicationImages = images.querySelectorAll('.publication-image');
+    markDecorativeSvgs(publicationsSection);
+    drawAnnotations(list);
+    publicationsData = data;
+}
+
+/**
+ * Render the category blocks and images, then hand them to initializePublications
+ * @param {Object} data - Content file
+ */
+function renderPublications(data) {
+    const entry = animatedSections.find(candidate => candidate.section === publicationsSection);
+
+    if (entry) {
+        cancelScrollAnimations(entry);
+        teardownPublications();
+    }
+
+    fillPublications(data);
+
+    if (entry) initializePublications(entry);
+
+    // The section changed height, so every offset below it moved
+    refreshLayout();
+}
+
+/**
+ * Load and render the home page publications
+ */
+function initializePublicationsContent() {
+    if (!publicationsSection || !publicationsSection.querySelector('#publicationTemplate')) return;
+
+    initializePublicationsGallery();
+    loadPublicationsData()
+        .then(renderPublications)
+        .catch(error => {
+            console.warn('Could not load publications:', error);
+            publicationsSection.hidden = true;
+            refreshLayout();
+        });
+
+    // Category titles and descriptions follow the language
+    onLanguageChange(() => {
+        if (publicationsData) fillPublications(publicationsData);
+    });
+}
+
+// ============================================
+// PUBLICATIONS LISTING
+// ============================================
+// publicatii.html?categorie=esee&sortare=recente&pagina=2
+// Sorting and pagination are kept in the URL, so every view can be shared and
+// the back button steps through them.
+
+const LISTING_PAGE_SIZE = 6;
+
+const LISTING_SORTS = {
+    recente: (a, b) => b.date.localeCompare(a.date),
+    vechi: (a, b) => a.date.localeCompare(b.date),
+    titlu: (a, b) => a.title.localeCompare(b.title, 'ro')
+};
+
+/**
+ * Read category, sort order and page from the URL
+ * @returns {Object} - { category, sort, page }
+ */
+function getListingState() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sortare');
+    const page = parseInt(params.get('pagina'), 10);
+
+    return {
+        category: params.get('categorie'),
+        sort: LISTING_SORTS[sort] ? sort : 'recente',
+        page: page > 0 ? page : 1
+    };
+}
+
+/**
+ * Format a YYYY-MM-DD date for display
+ * @param {string} date - ISO date
+ * @returns {string}
+ */
+function formatPublicationDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString(I18N_LOCALES[currentLanguage], {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+    });
+}
+
+/**
+ * Build one listing entry from #listingItemTemplate
+ * @param {Object} publication - Publication from the content file
+ * @param {Object} category - Its category (cover fallback)
+ * @returns {HTMLElement}
+ */
+function createListingItem(publication, category) {
+    const item = document.querySelector('#listingItemTemplate').content.firstElementChild.cloneNode(true);
+
+    const cover = item.querySelector('.listing-item-cover');
+    cover.src = publication.cover || category.cover;
+
+    const time = item.querySelector('time');
+    time.dateTime = publication.date;
+    time.textContent = formatPublicationDate(publication.date);
+
+    item.querySelector('.listing-item-venue').textContent = publication.venue;
+    item.querySelector('.listing-item-abstract').textContent = publication.abstract;
+
+    const link = item.querySelector('.listing-item-title a');
+    link.textContent = publication.title;
+    link.href = publication.link;
+
+    return item;
+}
+
+/**
+ * Build a pagination link, or a plain label when it points at the current page
+ * @param {string} label - Link text
+ * @param {string|null} href - Target, null to disable
+ * @param {Object} attributes - Extra attributes (aria-label, aria-current)
+ * @returns {HTMLElement}
+ */
+function createPaginationLink(label, href, attributes = {}) {
+    const element = document.createElement(href ? 'a' : 'span');
+    element.textContent = label;
+    if (href) element.href = href;
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Render the listing for the state in the URL
+ * @param {HTMLElement} root - #publicationsListing
+ * @param {Object} data - Content file
+ */
+function renderPublicationsListing(root, data) {
+    const state = getListingState();
+    const category = data.categories.find(candidate => candidate.id === state.category);
+    const title = root.querySelector('#listingTitle');
+    const intro = root.querySelector('#listingIntro');
+    const items = root.querySelector('#listingItems');
+    const pagination = root.querySelector('#listingPagination');
+
+    // Category tabs
+    root.querySelector('#listingCategories').replaceChildren(...data.categories.map(candidate => {
+        const link = document.createElement('a');
+        link.href = getListingUrl(candidate.id, { sortare: state.sort });
+        link.textContent = localize(candidate.title).join(' ');
+        if (candidate === category) link.setAttribute('aria-current', 'page');
+        return link;
+    }));
+
+    if (!category) {
+        title.textContent = t('listing.notFound', 'Categoria nu există.');
+        intro.textContent = t('listing.notFoundIntro', 'Alege una dintre categoriile de mai sus.');
+        items.replaceChildren();
+        pagination.replaceChildren();
+        return;
+    }
+
+    const publications = data.publications
+        .filter(publication => publication.type === category.id)
+        .sort(LISTING_SORTS[state.sort]);
+    const pageCount = Math.max(1, Math.ceil(publications.length / LISTING_PAGE_SIZE));
+    const page = Math.min(state.page, pageCount);
+    const pageItems = publications.slice((page - 1) * LISTING_PAGE_SIZE, page * LISTING_PAGE_SIZE);
+
+    const categoryTitle = localize(category.title).join(' ');
+    document.title = `${categoryTitle} | Mihai Tucaliuc`;
+    title.textContent = categoryTitle;
+    intro.textContent = localize(category.description);
+    root.querySelector('#listingSort').value = state.sort;
+
+    if (pageItems.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'listing-empty';
+        empty.textContent = t('listing.empty', 'Nu există încă intrări în această categorie.');
+        items.replaceChildren(empty);
+    } else {
+        items.replaceChildren(...pageItems.map(publication => createListingItem(publication, category)));
+    }
+
+    // Pagination: previous, page numbers, next
+    const pageUrl = number => getListingUrl(category.id, { sortare: state.sort, pagina: number });
+    const links = [createPaginationLink('←', page > 1 ? pageUrl(page - 1) : null, {
+        'aria-label': t('listing.previous', 'Pagina anterioară')
+    })];
+    for (let number = 1; number <= pageCount; number++) {
+        links.push(number === page
+            ? createPaginationLink(String(number), null, { 'aria-current': 'page' })
+            : createPaginationLink(String(number), pageUrl(number), {
+                'aria-label': t('listing.page', `Pagina ${number}`, { number })
+            }));
+    }
+    links.push(createPaginationLink('→', page < pageCount ? pageUrl(page + 1) : null, {
+        'aria-label': t('listing.next', 'Pagina următoare')
+    }));
+    pagination.replaceChildren(...links);
+    pagination.hidden = pageCount === 1;
+}
+
+/**
+ * Load the content file and keep the listing in sync with the URL
+ * @param {HTMLElement} root - #publicationsListing
+ */
+function initializePublicationsListing(root) {
+    loadPublicationsData()
+        .then(data => {
+            const render = () => renderPublicationsListing(root, data);
+
+            // Tabs and pagination change the URL without a reload
+            root.addEventListener('click', event => {
+                const link = event.target.closest('#listingCategories a, #listingPagination a');
+                if (!link || event.metaKey || event.ctrlKey || event.shiftKey) return;
+
+                event.preventDefault();
+                history.pushState(null, '', link.href);
+                render();
+                root.scrollIntoView({ block: 'start' });
+            });
+
+            root.querySelector('#listingSort').addEventListener('change', event => {
+                const { category } = getListingState();
+                history.pushState(null, '', getListingUrl(category, { sortare: event.target.value }));
+                render();
+            });
+
+            window.addEventListener('popstate', render);
+            onLanguageChange(render);
+            render();
+            root.removeAttribute('aria-busy');
+        })
+        .catch(error => {
+            console.warn('Could not load publications:', error);
+            root.querySelector('#listingTitle').textContent = t('listing.loadError', 'Publicațiile nu au putut fi încărcate.');
+            root.removeAttribute('aria-busy');
+        });
+}
+
+// ============================================
+// PARTNERS
+// ============================================
+// Logo grid in the partners section, rendered from a manifest:
+//
+//   [{ id, name, logo, industry, website, caseStudy }]
+//
+// industry and caseStudy (a list of paragraphs) may be given per language (see I18N).
+// Logos with a case study open #partnerDialog, the rest are plain images.
+//
+// #partnersGrid picks its layout with data-layout: 'grid', 'marquee' (an endless
+// strip) or 'auto', which turns into a marquee once the logos wrap past
+// PARTNERS_MARQUEE_ROWS rows. The marquee repeats the logos once (hidden from
+// assistive tech) and slides up as a whole; the grid reveals logo by logo.
+
+const partnersGrid = document.querySelector('#partnersGrid');
+const partnerDialog = document.querySelector('#partnerDialog');
+const PARTNERS_DATA_URL = './assets/data/partners.json';
+const PARTNERS_MARQUEE_ROWS = 2;
+
+// Manifest entries, keyed by id
+const partners = new Map();
+
+// Logo that opened the dialog, focused again when it closes
+let partnerDialogOpener = null;
+
+// Request for the manifest, shared with the testimonials (see TESTIMONIALS)
+let partnersDataRequest = null;
+
+/**
+ * Fetch the partners manifest (once, or again after a failure)
+ * @returns {Promise<Object[]>}
+ */
+function loadPartnersData() {
+    if (!partnersDataRequest) {
+        partnersDataRequest = fetch(PARTNERS_DATA_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                partnersDataRequest = null;
+                throw error;
+            });
+    }
+    return partnersDataRequest;
+}
+
+/**
+ * Build one logo: a button when there is a case study to open
+ * @param {Object} partner - Entry from the manifest
+ * @returns {HTMLElement}
+ */
+function createPartnerItem(partner) {
+    const item = document.createElement('li');
+    item.className = 'partner';
+
+    const image = document.createElement('img');
+    image.src = partner.logo;
+    image.alt = partner.name;
+
+    if (partner.caseStudy) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.partner = partner.id;
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.appendChild(image);
+        item.appendChild(button);
+    } else {
+        item.appendChild(image);
+    }
+
+    return item;
+}
+
+/**
+ * Label the case study buttons (grid and testimonials) in the current language
+ */
+function labelPartners() {
+    document.querySelectorAll('button[data-partner]').forEach(button => {
+        const { name } = partners.get(button.dataset.partner);
+        button.setAttribute('aria-label', t('partners.open', `${name}: studiu de caz`, { name }));
+    });
+}
+
+/**
+ * Switch between the grid and the marquee, following data-layout
+ * @returns {boolean} - Whether the layout changed
+ */
+function updatePartnersLayout() {
+    const track = partnersGrid.querySelector('.partners-track');
+    const wasMarquee = partnersGrid.classList.contains('partners-marquee');
+    const layout = partnersGrid.dataset.layout || 'auto';
+    let marquee = layout === 'marquee';
+
+    // Count the rows the logos take as a grid
+    if (layout === 'auto') {
+        partnersGrid.classList.remove('partners-marquee');
+        const logos = track.querySelectorAll('.partner:not([aria-hidden])');
+        const rows = new Set(Array.from(logos, logo => logo.offsetTop)).size;
+        marquee = rows > PARTNERS_MARQUEE_ROWS;
+    }
+
+    partnersGrid.classList.toggle('partners-marquee', marquee);
+    if (marquee === wasMarquee) return false;
+
+    // The strip scrolls by half its width, so the logos are repeated once
+    if (marquee) {
+        Array.from(track.children).forEach(item => {
+            const copy = item.cloneNode(true);
+            copy.removeAttribute('style');
+            copy.setAttribute('aria-hidden', 'true');
+            copy.inert = true;
+            track.appendChild(copy);
+        });
+    } else {
+        track.querySelectorAll('.partner[aria-hidden]').forEach(copy => copy.remove());
+    }
+
+    return true;
+}
+
+/**
+ * Items of the section: the whole strip as a marquee, every logo as a grid
+ * @param {Object} entry - Registry entry
+ */
+function collectPartnerItems(entry) {
+    entry.items = partnersGrid.classList.contains('partners-marquee')
+        ? [partnersGrid]
+        : partnersGrid.querySelectorAll('.partner');
+    entry.items.forEach(item => {
+        item.style.willChange = 'transform, opacity';
+    });
+}
+
+/**
+ * Render the logos from the manifest and hand them to the partners section
+ * @param {Object[]} manifest - Content file
+ */
+function renderPartners(manifest) {
+    const entry = animatedSections.find(candidate => candidate.section.contains(partnersGrid));
+
+    if (entry) {
+        cancelScrollAnimations(entry);
+        entry.type.teardown(entry);
+    }
+
+    partners.clear();
+    manifest.forEach(partner => partners.set(partner.id, partner));
+
+    const track = partnersGrid.querySelector('.partners-track');
+    track.replaceChildren(...manifest.map(createPartnerItem));
+    partnersGrid.classList.remove('partners-marquee');
+    updatePartnersLayout();
+    labelPartners();
+
+    if (entry) entry.type.init(entry);
+
+    // Fewer or more rows of logos change the page height
+    refreshLayout();
+}
+
+/**
+ * Fill the dialog with a partner's case study in the current language
+ * @param {Object} partner - Entry from the manifest
+ */
+function fillPartnerDialog(partner) {
+    const logo = partnerDialog.querySelector('.partner-dialog-logo');
+    logo.src = partner.logo;
+    logo.alt = '';
+
+    partnerDialog.dataset.partner = partner.id;
+    partnerDialog.querySelector('#partnerDialogTitle').textContent = partner.name;
+    partnerDialog.querySelector('.partner-dialog-industry').textContent = localize(partner.industry) || '';
+    partnerDialog.querySelector('.partner-dialog-story').replaceChildren(...localize(partner.caseStudy).map(text => {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text;
+        return paragraph;
+    }));
+
+    const website = partnerDialog.querySelector('.partner-dialog-website');
+    website.hidden = !partner.website;
+    if (partner.website) {
+        website.href = partner.website;
+        website.textContent = t('partners.website', 'Site-ul companiei');
+    }
+}
+
+/**
+ * Open the case study of a partner
+ * @param {string} id - Manifest id
+ * @param {HTMLElement} opener - Logo that was clicked
+ */
+function openPartnerDialog(id, opener) {
+    const partner = partners.get(id);
+    if (!partner || !partner.caseStudy) return;
+
+    fillPartnerDialog(partner);
+    partnerDialogOpener = opener;
+
+    if (typeof partnerDialog.showModal === 'function') {
+        partnerDialog.showModal();
+    } else {
+        partnerDialog.setAttribute('open', '');
+    }
+    partnerDialog.querySelector('.partner-dialog-close').focus();
+}
+
+/**
+ * Close the case study
+ */
+function closePartnerDialog() {
+    if (typeof partnerDialog.close === 'function') {
+        partnerDialog.close();
+    } else {
+        partnerDialog.removeAttribute('open');
+        partnerDialog.dispatchEvent(new Event('close'));
+    }
+}
+
+/**
+ * Load the manifest and wire up the case study dialog
+ */
+function initializePartners() {
+    loadPartnersData()
+        .then(renderPartners)
+        .catch(error => console.warn('Could not load partners:', error));
+
+    partnersGrid.addEventListener('click', event => {
+        const button = event.target.closest('button[data-partner]');
+        if (button) openPartnerDialog(button.dataset.partner, button);
+    });
+
+    partnerDialog.querySelector('.partner-dialog-close').addEventListener('click', closePartnerDialog);
+
+    // Clicks on the backdrop land on the dialog itself
+    partnerDialog.addEventListener('click', event => {
+        if (event.target === partnerDialog) closePartnerDialog();
+    });
+
+    // Escape closes the dialog natively, so focus goes back here for every way out
+    partnerDialog.addEventListener('close', () => {
+        if (partnerDialogOpener && partnerDialogOpener.isConnected) partnerDialogOpener.focus();
+        partnerDialogOpener = null;
+    });
+
+    onLanguageChange(() => {
+        if (partners.size === 0) return;
+        labelPartners();
+        if (partnerDialog.open) fillPartnerDialog(partners.get(partnerDialog.dataset.partner));
+    });
+}
+
+/**
+ * Staged sticky section whose items depend on the grid layout
+ * @param {Object} entry - Registry entry
+ */
+function initPartnersSection(entry) {
+    initStagedSection(entry);
+    collectPartnerItems(entry);
+}
+
+/**
+ * Re-measure, switching between grid and marquee when the rows changed
+ * @param {Object} entry - Registry entry
+ */
+function refreshPartnersSection(entry) {
+    if (updatePartnersLayout()) {
+        Array.from(entry.items).forEach(item => {
+            item.style.transform = '';
+            item.style.opacity = '';
+            item.style.willChange = '';
+        });
+        collectPartnerItems(entry);
+    }
+    refreshStagedSection(entry);
+}
+
+registerSectionType('partners', {
+    progress: sectionTypes.sticky.progress,
+    range: sectionTypes.sticky.range,
+    init: initPartnersSection,
+    update: updateStagedSection,
+    refresh: refreshPartnersSection,
+    teardown: teardownStagedSection,
+    timeline: getStagedTimeline,
+    tracks: getStagedTracks
+});
+
+// ============================================
+// TESTIMONIALS
+// ============================================
+// Carousel in the reviews section, rendered from a JSON file:
+//
+//   [{ quote, name, role, company, partner }]   (partner: id in partners.json, see PARTNERS)
+//
+// The section uses data-anim="testimonials", a sticky section that also drives
+// the quote: the active quote fades in character by character with the section's
+// text options, no further than the headline got on scroll, and again over
+// TESTIMONIAL_REVEAL_DURATION every time the slide changes.
+
+const testimonialsRoot = document.querySelector('#testimonials');
+const TESTIMONIALS_DATA_URL = './assets/data/testimonials.json';
+
+const TESTIMONIAL_INTERVAL = 7000;          // Autoplay delay (ms)
+const TESTIMONIAL_REVEAL_DURATION = 1200;   // Character fade after a slide change (ms)
+const TESTIMONIAL_SWIPE_THRESHOLD = 50;     // Horizontal px that count as a swipe
+
+let testimonialSlides = [];
+let activeTestimonial = 0;
+let testimonialChars = [];
+let testimonialRevealStart = 0;
+let testimonialsEntry = null;
+
+// Reasons autoplay is paused ('hover', 'focus', 'button', 'hidden')
+const testimonialPauses = new Set();
+
+/**
+ * Logo of the partner behind a testimonial: opens its case study when it has one
+ * (see PARTNERS), links to its website otherwise, or is a plain image
+ * @param {Object} partner - Entry from the partners manifest
+ * @returns {HTMLElement}
+ */
+function createTestimonialPartner(partner) {
+    const image = document.createElement('img');
+    image.src = partner.logo;
+    image.alt = partner.name;
+
+    // The dialog is wired up (and the map filled) by initializePartners
+    if (partner.caseStudy && partners.has(partner.id)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.partner = partner.id;
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.appendChild(image);
+        return button;
+    }
+
+    if (partner.website) {
+        const link = document.createElement('a');
+        link.href = partner.website;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.appendChild(image);
+        return link;
+    }
+
+    return image;
+}
+
+/**
+ * Build one slide (labelled by labelTestimonials)
+ * @param {Object} testimonial - Entry from the content file
+ * @param {Object[]} manifest - Partners manifest, testimonial.partner is an id in it
+ * @returns {HTMLElement}
+ */
+function createTestimonialSlide(testimonial, manifest) {
+    const slide = document.createElement('figure');
+    slide.className = 'testimonial';
+    slide.setAttribute('role', 'group');
+    slide.setAttribute('aria-roledescription', 'slide');
+
+    const quote = document.createElement('blockquote');
+    quote.className = 'testimonial-quote text-content';
+    quote.textContent = testimonial.quote;
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'testimonial-author';
+
+    // Optional logo from the partners manifest
+    const partner = testimonial.partner
+        ? manifest.find(candidate => candidate.id === testimonial.partner)
+        : null;
+    if (partner) caption.appendChild(createTestimonialPartner(partner));
+
+    const name = document.createElement('strong');
+    name.textContent = testimonial.name;
+    const role = document.createElement('span');
+    role.textContent = [testimonial.role, testimonial.company].filter(Boolean).join(', ');
+    caption.append(name, role);
+
+    slide.append(quote, caption);
+    return slide;
+}
+
+/**
+ * Reveal progress of the active quote: the scroll text stage caps the time-based fade
+ * @returns {number} - Progress between 0 and 1
+ */
+function getTestimonialProgress() {
+    if (!testimonialsEntry) return 0;
+
+    const { options, progress } = testimonialsEntry;
+    const scrollProgress = getStageProgress(progress, options.textStart, options.textEnd);
+    const timeProgress = Math.min(1, (performance.now() - testimonialRevealStart) / TESTIMONIAL_REVEAL_DURATION);
+    return Math.min(scrollProgress, timeProgress);
+}
+
+/**
+ * Apply the reveal to the active quote
+ * @returns {boolean} - Whether the time-based fade is still running
+ */
+function renderTestimonialReveal() {
+    if (!testimonialsEntry || testimonialChars.length === 0) return false;
+
+    const progress = getTestimonialProgress();
+    if (progress >= 1) {
+        testimonialChars.forEach(char => setUnitOpacity(char, 1));
+    } else {
+        animateTextCharacters(testimonialChars, progress, testimonialsEntry.options.textStartOpacity, testimonialsEntry.options);
+    }
+
+    return performance.now() - testimonialRevealStart < TESTIMONIAL_REVEAL_DURATION;
+}
+
+/**
+ * Run the time-based fade until it completes
+ */
+function playTestimonialReveal() {
+    if (renderTestimonialReveal()) requestAnimationFrame(playTestimonialReveal);
+}
+
+/**
+ * Split the active quote into characters (nothing to split under reduced motion)
+ */
+function wrapActiveTestimonial() {
+    const quote = testimonialSlides[activeTestimonial].querySelector('.testimonial-quote');
+    if (reducedMotion || !testimonialsEntry) {
+        testimonialChars = [];
+        return;
+    }
+
+    wrapTextInSpans(quote, testimonialsEntry.options.split, () => {
+        testimonialChars = getSplitUnits(quote);
+        renderTestimonialReveal();
+    });
+    testimonialChars = getSplitUnits(quote);
+}
+
+/**
+ * Show a slide (wraps around) and restart its reveal
+ * @param {number} index - Slide index
+ */
+function showTestimonial(index) {
+    if (testimonialSlides.length === 0) return;
+
+    unwrapTextSpans(testimonialSlides[activeTestimonial].querySelector('.testimonial-quote'));
+    activeTestimonial = (index + testimonialSlides.length) % testimonialSlides.length;
+
+    testimonialSlides.forEach((slide, slideIndex) => {
+        slide.hidden = slideIndex !== activeTestimonial;
+    });
+    testimonialsRoot.querySelectorAll('.testimonials-dots button').forEach((dot, dotIndex) => {
+        dot.setAttribute('aria-current', String(dotIndex === activeTestimonial));
+    });
+
+    wrapActiveTestimonial();
+    testimonialRevealStart = performance.now();
+    playTestimonialReveal();
+}
+
+/**
+ * Autoplay step: only while the carousel is near the viewport and nothing pauses it
+ */
+function advanceTestimonials() {
+    if (testimonialPauses.size > 0 || reducedMotion) return;
+    if (!testimonialsEntry || !testimonialsEntry.active) return;
+    showTestimonial(activeTestimonial + 1);
+}
+
+/**
+ * Pause or resume autoplay for a reason, keeping screen readers informed when it stops
+ * @param {string} reason - 'hover', 'focus', 'button' or 'hidden'
+ * @param {boolean} paused - Whether this reason applies
+ */
+function setTestimonialsPaused(reason, paused) {
+    if (paused) {
+        testimonialPauses.add(reason);
+    } else {
+        testimonialPauses.delete(reason);
+    }
+
+    // Announce slide changes only when they are not automatic
+    const autoplaying = testimonialPauses.size === 0 && !reducedMotion;
+    testimonialsRoot.querySelector('.testimonials-slides').setAttribute('aria-live', autoplaying ? 'off' : 'polite');
+}
+
+/**
+ * Label the slides, dots and pause button in the current language
+ */
+function labelTestimonials() {
+    const count = testimonialSlides.length;
+    testimonialSlides.forEach((slide, index) => {
+        slide.setAttribute('aria-label', t('testimonials.slide', `${index + 1} din ${count}`, { number: index + 1, count }));
+    });
+    testimonialsRoot.querySelectorAll('.testimonials-dots button').forEach((dot, index) => {
+        dot.setAttribute('aria-label', t('testimonials.dot', `Recenzia ${index + 1}`, { number: index + 1 }));
+    });
+
+    const paused = testimonialPauses.has('button');
+    testimonialsRoot.querySelector('.testimonials-toggle').textContent = paused
+        ? t('testimonials.play', 'Pornește')
+        : t('testimonials.pause', 'Pauză');
+}
+
+/**
+ * Render the slides and wire up autoplay, buttons, keyboard, swipe and hover
+ * @param {Object[]} testimonials - Content file
+ * @param {Object[]} manifest - Partners manifest (empty when it could not be loaded)
+ */
+function renderTestimonials(testimonials, manifest) {
+    const slides = testimonialsRoot.querySelector('.testimonials-slides');
+    const dots = testimonialsRoot.querySelector('.testimonials-dots');
+
+    testimonialSlides = testimonials.map(testimonial => createTestimonialSlide(testimonial, manifest));
+    slides.replaceChildren(...testimonialSlides);
+    labelPartners();
+    slides.addEventListener('click', event => {
+        const button = event.target.closest('button[data-partner]');
+        if (button) openPartnerDialog(button.dataset.partner, button);
+    });
+    dots.replaceChildren(...testimonialSlides.map((slide, index) => {
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.addEventListener('click', () => showTestimonial(index));
+        return dot;
+    }));
+    testimonialsRoot.hidden = testimonialSlides.length === 0;
+    labelTestimonials();
+    onLanguageChange(labelTestimonials);
+
+    testimonialsRoot.querySelector('.testimonials-prev').addEventListener('click', () => showTestimonial(activeTestimonial - 1));
+    testimonialsRoot.querySelector('.testimonials-next').addEventListener('click', () => showTestimonial(activeTestimonial + 1));
+
+    const toggle = testimonialsRoot.querySelector('.testimonials-toggle');
+    toggle.addEventListener('click', () => {
+        const paused = !testimonialPauses.has('button');
+        setTestimonialsPaused('button', paused);
+        toggle.setAttribute('aria-pressed', String(paused));
+        labelTestimonials();
+    });
+
+    testimonialsRoot.addEventListener('keydown', event => {
+        if (event.key === 'ArrowLeft') showTestimonial(activeTestimonial - 1);
+        else if (event.key === 'ArrowRight') showTestimonial(activeTestimonial + 1);
+        else return;
+        event.preventDefault();
+    });
+
+    // Swipe: compare where the pointer went down and came up
+    let swipeStart = null;
+    testimonialsRoot.addEventListener('pointerdown', event => {
+        swipeStart = { x: event.clientX, y: event.clientY };
+    });
+    testimonialsRoot.addEventListener('pointerup', event => {
+        if (!swipeStart) return;
+        const deltaX = event.clientX - swipeStart.x;
+        const deltaY = event.clientY - swipeStart.y;
+        swipeStart = null;
+        if (Math.abs(deltaX) < TESTIMONIAL_SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+        showTestimonial(activeTestimonial + (deltaX < 0 ? 1 : -1));
+    });
+    testimonialsRoot.addEventListener('pointercancel', () => {
+        swipeStart = null;
+    });
+
+    testimonialsRoot.addEventListener('mouseenter', () => setTestimonialsPaused('hover', true));
+    testimonialsRoot.addEventListener('mouseleave', () => setTestimonialsPaused('hover', false));
+    testimonialsRoot.addEventListener('focusin', () => setTestimonialsPaused('focus', true));
+    testimonialsRoot.addEventListener('focusout', event => {
+        if (!testimonialsRoot.contains(event.relatedTarget)) setTestimonialsPaused('focus', false);
+    });
+    document.addEventListener('visibilitychange', () => setTestimonialsPaused('hidden', document.hidden));
+
+    setTestimonialsPaused('hidden', document.hidden);
+    setInterval(advanceTestimonials, TESTIMONIAL_INTERVAL);
+    showTestimonial(0);
+}
+
+/**
+ * Load the testimonials content file, and the partners manifest for their logos
+ */
+function initializeTestimonials() {
+    // Without the manifest the testimonials still show, only without logos
+    const manifest = loadPartnersData().catch(() => []);
+
+    fetch(TESTIMONIALS_DATA_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(testimonials => manifest.then(partnerList => renderTestimonials(testimonials, partnerList)))
+        .catch(error => console.warn('Could not load testimonials:', error));
+}
+
+/**
+ * Staged sticky section plus the carousel quote
+ * @param {Object} entry - Registry entry
+ */
+function initTestimonialsSection(entry) {
+    initStagedSection(entry);
+    testimonialsEntry = entry;
+    if (testimonialSlides.length > 0) wrapActiveTestimonial();
+}
+
+/**
+ * @param {Object} entry - Registry entry
+ * @param {number} progress - Section progress (0 to 1)
+ */
+function updateTestimonialsSection(entry, progress) {
+    updateStagedSection(entry, progress);
+    renderTestimonialReveal();
+}
+
+/**
+ * @param {Object} entry - Registry entry
+ */
+function teardownTestimonialsSection(entry) {
+    teardownStagedSection(entry);
+    if (testimonialSlides.length > 0) {
+        unwrapTextSpans(testimonialSlides[activeTestimonial].querySelector('.testimonial-quote'));
+    }
+    testimonialChars = [];
+    testimonialsEntry = null;
+}
+
+// The quote changes at runtime, so this type stays on the JS backend (no tracks)
+registerSectionType('testimonials', {
+    progress: sectionTypes.sticky.progress,
+    range: sectionTypes.sticky.range,
+    init: initTestimonialsSection,
+    update: updateTestimonialsSection,
+    refresh: refreshStagedSection,
+    teardown: teardownTestimonialsSection,
+    timeline: getStagedTimeline
+});
+
+// ============================================
+// MODE SWITCH
+// ============================================
+// The Profesional / Academic sections switch the page between two tracks:
+//
+//   <section data-anim="mode-switch" data-mode-switch="profesional">  the switch
+//   <section data-track="academic">                                    shown in the academic track
+//
+// The choice is kept in the URL so it can be shared: ?mod=profesional or
+// ?mod=academic, without the parameter both tracks are shown. The word of the track that is not
+// selected is struck through; switching draws the strike off one word and onto
+// the other. With a track selected only the first switch stays on the page.
+
+const MODE_PARAM = 'mod';
+const TRACK_MODES = ['profesional', 'academic'];
+const MODE_SWITCH_DURATION = 600; // Strike moving between the words (ms)
+
+// Selected track, null while both are shown
+let trackMode = null;
+let modeSwitchStart = -Infinity;
+
+/**
+ * Track named in the URL
+ * @returns {string|null}
+ */
+function getModeFromUrl() {
+    const mode = new URLSearchParams(window.location.search).get(MODE_PARAM);
+    return TRACK_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * URL of the page with a track selected (null: both tracks), without the hash
+ * @param {string|null} mode - Track
+ * @returns {string}
+ */
+function getModeUrl(mode) {
+    const params = new URLSearchParams(window.location.search);
+    if (mode) {
+        params.set(MODE_PARAM, mode);
+    } else {
+        params.delete(MODE_PARAM);
+    }
+    const query = params.toString();
+    return `${window.location.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Word a switch strikes through: the track that is not selected
+ * Without a selection every switch strikes the track it doesn't introduce
+ * @param {HTMLElement} section - Switch section
+ * @returns {string}
+ */
+function getStruckTrack(section) {
+    const current = trackMode || section.dataset.modeSwitch;
+    return TRACK_MODES.find(mode => mode !== current);
+}
+
+/**
+ * Split a switch's strike paths into the struck word and the released one
+ * @param {Object} entry - Registry entry
+ */
+function collectModeSwitchPaths(entry) {
+    const struck = getStruckTrack(entry.section);
+    const wordPaths = mode => entry.section.querySelectorAll(`[data-mode="${mode}"] svg line, [data-mode="${mode}"] svg path`);
+
+    entry.paths = wordPaths(struck);
+    entry.releasedPaths = wordPaths(TRACK_MODES.find(mode => mode !== struck));
+}
+
+/**
+ * Progress of the strike moving between the words (1 when it is not moving)
+ * @returns {number}
+ */
+function getModeSwitchTransition() {
+    if (reducedMotion) return 1;
+    return Math.min(1, (performance.now() - modeSwitchStart) / MODE_SWITCH_DURATION);
+}
+
+/**
+ * Staged section, then the strike paths of both words
+ * @param {Object} entry - Registry entry
+ */
+function initModeSwitchSection(entry) {
+    initStagedSection(entry);
+    collectModeSwitchPaths(entry);
+    initializeSvgPaths(entry.releasedPaths);
+}
+
+/**
+ * Text stage as usual; the strike follows the scroll and, while moving, the switch time
+ * @param {Object} entry - Registry entry
+ * @param {number} progress - Section progress (0 to 1)
+ */
+function updateModeSwitchSection(entry, progress) {
+    const { options } = entry;
+    const svgProgress = getStageProgress(progress, options.svgStart, options.svgEnd);
+    const transition = getModeSwitchTransition();
+
+    updateStagedSection(entry, progress);
+    if (transition < 1) animateSvgPaths(entry.paths, svgProgress * transition, options.svgSequential, null, options);
+    animateSvgPaths(entry.releasedPaths, svgProgress * (1 - transition), options.svgSequential, null, options);
+}
+
+/**
+ * @param {Object} entry - Registry entry
+ */
+function refreshModeSwitchSection(entry) {
+    refreshStagedSection(entry);
+    refreshSvgPaths(entry.releasedPaths);
+}
+
+/**
+ * Redraw the switches until the strike has moved
+ */
+function playModeSwitch() {
+    animatedSections
+        .filter(entry => entry.type === sectionTypes['mode-switch'] && !isSectionCollapsed(entry))
+        .forEach(entry => entry.type.update(entry, entry.progress));
+
+    if (getModeSwitchTransition() < 1) requestAnimationFrame(playModeSwitch);
+}
+
+/**
+ * Show the sections of a track (null: both) and move the strikes
+ * @param {string|null} mode - Track
+ * @param {boolean} animate - Draw the strike across instead of swapping it
+ */
+function applyTrackMode(mode, animate) {
+    trackMode = mode;
+
+    document.querySelectorAll('[data-track]').forEach(section => {
+        section.classList.toggle('track-hidden', mode !== null && section.dataset.track !== mode);
+    });
+    document.querySelectorAll('[data-mode-switch]').forEach((section, index) => {
+        section.classList.toggle('track-hidden', mode !== null && index > 0);
+    });
+
+    // Every word links to its track, the selected one back to both tracks
+    document.querySelectorAll('[data-mode-switch] [data-mode]').forEach(link => {
+        const current = link.dataset.mode === (mode || link.closest('[data-mode-switch]').dataset.modeSwitch);
+        link.href = getModeUrl(link.dataset.mode === mode ? null : link.dataset.mode);
+        if (current) {
+            link.setAttribute('aria-current', 'true');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+
+    animatedSections
+        .filter(entry => entry.type === sectionTypes['mode-switch'])
+        .forEach(collectModeSwitchPaths);
+
+    modeSwitchStart = animate ? performance.now() : -Infinity;
+    refreshLayout();
+    if (animate) playModeSwitch();
+}
+
+/**
+ * Select the track of a clicked word and remember it in the URL
+ * @param {HTMLAnchorElement} link - [data-mode] link
+ */
+function selectTrackMode(link) {
+    const section = link.closest('[data-mode-switch]');
+    const mode = link.dataset.mode === trackMode ? null : link.dataset.mode;
+
+    history.replaceState(history.state, '', `${getModeUrl(mode)}${window.location.hash}`);
+    applyTrackMode(mode, true);
+
+    // The clicked switch may have left the page: continue from the one that stays
+    const entry = animatedSections.find(candidate => candidate.section === section);
+    if (entry && isSectionCollapsed(entry)) {
+        scrollToSection(document.querySelector('[data-mode-switch]'), 'instant');
+    }
+}
+
+/**
+ * Apply the track in the URL and wire up the switch words
+ */
+function initializeModeSwitch() {
+    applyTrackMode(getModeFromUrl(), false);
+
+    document.addEventListener('click', event => {
+        const link = event.target.closest('[data-mode-switch] [data-mode]');
+        if (!link || event.metaKey || event.ctrlKey || event.shiftKey) return;
+
+        event.preventDefault();
+        selectTrackMode(link);
+    });
+}
+
+// The strike moves on a timer, so this type stays on the JS backend (no tracks)
+registerSectionType('mode-switch', {
+    progress: sectionTypes.sticky.progress,
+    range: sectionTypes.sticky.range,
+    init: initModeSwitchSection,
+    update: updateModeSwitchSection,
+    refresh: refreshModeSwitchSection,
+    teardown: teardownStagedSection,
+    timeline: getStagedTimeline
+});
+
+// ============================================
+// ROUTER
+// ============================================
+// Detail pages live in <template data-route="..."> elements of index.html and
+// are opened with hash links: #/servicii/coaching renders the template with
+// data-route="servicii/coaching" into #routeView using the #detailTemplate
+// layout. Plain hashes (#serviceSection) keep pointing at the home sections.
+// Every swap tears down the registered sections and initializes the new view.
+
+const ROUTE_PREFIX = '#/';
+const routeView = document.querySelector('#routeView');
+const homeTitle = document.title;
+
+// Shown route (null = home) and the history entry it was opened in
+let currentRoute = null;
+let currentHistoryEntry = null;
+let historyEntryCounter = 0;
+
+// Last scroll position of every history entry visited in this page view
+const routeScrollPositions = new Map();
+
+/**
+ * Route named by a hash, null for the home page
+ * @param {string} hash - location.hash
+ * @returns {string|null}
+ */
+function getRouteFromHash(hash) {
+    return hash.startsWith(ROUTE_PREFIX) ? decodeURIComponent(hash.slice(ROUTE_PREFIX.length)) : null;
+}
+
+/**
+ * Id of the current history entry, stored in history.state so back/forward find it again
+ * @returns {string}
+ */
+function getHistoryEntry() {
+    if (!history.state || !history.state.routeEntry) {
+        const routeEntry = `${Date.now()}-${++historyEntryCounter}`;
+        history.replaceState({ ...history.state, routeEntry }, '');
+    }
+    return history.state.routeEntry;
+}
+
+/**
+ * Fill #detailTemplate with a route's title and content
+ * @param {HTMLTemplateElement} template - <template data-route>
+ * @returns {DocumentFragment}
+ */
+function createRouteView(template) {
+    const view = document.querySelector('#detailTemplate').content.cloneNode(true);
+
+    const headlineSpan = view.querySelector('.detail-headline .has-svg-animated');
+    headlineSpan.insertBefore(document.createTextNode(`${template.dataset.title} `), headlineSpan.firstChild);
+
+    view.querySelector('.detail-content').appendChild(template.content.cloneNode(true));
+    view.querySelector('.detail-back').href = template.dataset.back || '#';
+
+    return view;
+}
+
+/**
+ * Put the translated title of the shown route into its headline (see I18N)
+ * The route sections are torn down while this runs
+ */
+function translateRouteView() {
+    if (currentRoute === null) return;
+
+    const template = Array.from(document.querySelectorAll('template[data-route]')).find(candidate => candidate.dataset.route === currentRoute);
+    const headlineSpan = routeView.querySelector('.detail-headline .has-svg-animated');
+    headlineSpan.firstChild.textContent = `${template.dataset.title} `;
+    document.title = `${template.dataset.title} | Mihai Tucaliuc`;
+    if (currentRoute.startsWith('servicii/')) contactTopic = template.dataset.title;
+}
+
+/**
+ * Scroll to where the reader left this history entry, or to the hash target
+ * @param {string|null} route - Route that was just shown
+ */
+function restoreRouteScroll(route) {
+    const saved = routeScrollPositions.get(currentHistoryEntry);
+    const target = route === null && window.location.hash.length > 1
+        ? document.getElementById(decodeURIComponent(window.location.hash.slice(1)))
+        : null;
+
+    if (saved !== undefined) {
+        window.scrollTo({ top: saved, behavior: 'instant' });
+    } else if (target) {
+        openDeepLink(window.location.hash, 'instant');
+    } else {
+        window.scrollTo({ top: 0, behavior: 'instant' });
+    }
+}
+
+/**
+ * Show the view for the current hash, swapping animations along with the DOM
+ * @param {HashChangeEvent} event - Missing on the first render (INITIALIZATION opens deep links then)
+ */
+function renderRoute(event) {
+    const requested = getRouteFromHash(window.location.hash);
+    const template = requested === null
+        ? null
+        : Array.from(document.querySelectorAll('template[data-route]')).find(candidate => candidate.dataset.route === requested);
+
+    if (requested !== null && !template) console.warn('Unknown route:', requested);
+
+    const route = template ? requested : null;
+    if (route && route.startsWith('servicii/')) contactTopic = template.dataset.title;
+    const historyEntry = getHistoryEntry();
+
+    // Anchors within the home page open their section finished (see DEEP LINKS)
+    if (route === null && currentRoute === null) {
+        currentHistoryEntry = historyEntry;
+        if (event) openDeepLink(window.location.hash);
+        return;
+    }
+
+    teardownAnimatedSections();
+
+    if (template) {
+        routeView.replaceChildren(createRouteView(template));
+        routeView.hidden = false;
+        document.body.dataset.route = route;
+        document.title = `${template.dataset.title} | Mihai Tucaliuc`;
+        markDecorativeSvgs(routeView);
+        drawAnnotations(routeView);
+        swapThemeImages(routeView);
+    } else {
+        routeView.replaceChildren();
+        routeView.hidden = true;
+        delete document.body.dataset.route;
+        document.title = homeTitle;
+    }
+
+    initializeAnimatedSections(template ? routeView : document);
+    loadDoodles(template ? routeView : document);
+    currentRoute = route;
+    currentHistoryEntry = historyEntry;
+
+    restoreRouteScroll(route);
+    refreshLayout();
+    renderDebugTimelineRows();
+
+    if (template) routeView.querySelector('.detail-headline').focus({ preventScroll: true });
+}
+
+/**
+ * Remember the scroll position of the current history entry
+ */
+function rememberRouteScroll() {
+    if (currentHistoryEntry) routeScrollPositions.set(currentHistoryEntry, window.scrollY);
+}
+
+/**
+ * Take over scroll restoration and render the route in the URL
+ */
+function initializeRouter() {
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+    currentHistoryEntry = getHistoryEntry();
+    renderRoute();
+    onLanguageChange(translateRouteView);
+}
+
+// ============================================
+// DEEP LINKS
+// ============================================
+// A hash naming an element on the home page (#publicationsSection) opens the
+// section holding it at the point where its animation is complete: on load,
+// on hashchange and on every programmatic jump. After a jump all sections get
+// the state of the new position in one pass, the ones the observer had stopped
+// updating included: sections above are complete, sections below at their start.
+
+// Element the last deep link opened, kept in view while late content (publications,
+// images, fonts) moves the layout, until the visitor scrolls on their own
+let deepLinkTarget = null;
+
+// A smooth jump is running, its sections are settled once it ends
+let jumpSettlePending = false;
+
+/**
+ * Scroll to the point where a section's animation is complete
+ * Instant jumps apply the state of every section right away
+ * @param {HTMLElement} section - Registered section
+ * @param {string} behavior - Optional scroll behavior ('smooth' unless motion is reduced)
+ */
+function scrollToSection(section, behavior = reducedMotion ? 'instant' : 'smooth') {
+    const entry = animatedSections.find(candidate => candidate.section === section);
+    const top = entry
+        ? getSectionScrollPosition(entry, getSectionCompleteProgress(entry))
+        : section.offsetTop;
+
+    window.scrollTo({ top: Math.max(0, Math.round(top)), behavior });
+
+    if (behavior === 'instant') {
+        updateAnimatedSections(true);
+    } else {
+        jumpSettlePending = true;
+    }
+}
+
+/**
+ * Open the element a hash names, finished
+ * @param {string} hash - location.hash
+ * @param {string} behavior - Optional scroll behavior
+ * @returns {boolean} - Whether the hash named an element
+ */
+function openDeepLink(hash, behavior) {
+    const target = hash.length > 1 && !hash.startsWith(ROUTE_PREFIX)
+        ? document.getElementById(decodeURIComponent(hash.slice(1)))
+        : null;
+    const entry = target ? animatedSections.find(candidate => candidate.section.contains(target)) : null;
+    if (!target || (entry && isSectionCollapsed(entry))) return false;
+
+    deepLinkTarget = target;
+    if (entry) {
+        scrollToSection(entry.section, behavior);
+    } else {
+        target.scrollIntoView({ behavior: behavior || (reducedMotion ? 'instant' : 'smooth') });
+        updateAnimatedSections(true);
+    }
+    return true;
+}
+
+/**
+ * Put the deep link target back in view after the layout changed under it
+ */
+function keepDeepLinkInView() {
+    if (!deepLinkTarget || !deepLinkTarget.isConnected) return;
+    openDeepLink(`#${deepLinkTarget.id}`, 'instant');
+}
+
+/**
+ * Settle every section once a smooth jump has arrived
+ */
+function settleAfterJump() {
+    if (!jumpSettlePending) return;
+    jumpSettlePending = false;
+    updateAnimatedSections(true);
+}
+
+/**
+ * The visitor took over scrolling: stop holding the deep link target
+ */
+function releaseDeepLink() {
+    deepLinkTarget = null;
+}
+
+// ============================================
+// SECTION NAVIGATION
+// ============================================
+// Side navigation over the home sections: one link per <section data-nav-label>
+// with the section's live progress. Links and the keyboard (arrows, PageUp,
+// PageDown) jump to where a section's animation is complete, and the URL hash
+// follows the section in view, so #publicationsSection links open where they should.
+
+const sectionNav = document.querySelector('#sectionNav');
+
+// Step direction of every navigation key
+const SECTION_NAV_KEYS = { ArrowDown: 1, PageDown: 1, ArrowUp: -1, PageUp: -1 };
+
+// One { section, link } per listed section, in document order
+let sectionNavItems = [];
+
+// Section the URL hash points at, and the one a jump is still scrolling to
+let currentNavSection = null;
+let sectionNavTarget = null;
+
+/**
+ * Build one link per home section
+ */
+function renderSectionNav() {
+    const sections = Array.from(document.querySelectorAll('body > [data-nav-label][id]'));
+
+    sectionNavItems = sections.map(section => {
+        const link = document.createElement('a');
+        link.className = 'section-nav-link';
+        link.href = `#${section.id}`;
+
+        const progress = document.createElement('span');
+        progress.className = 'section-nav-progress';
+        progress.setAttribute('aria-hidden', 'true');
+
+        const label = document.createElement('span');
+        label.className = 'section-nav-label';
+        label.textContent = section.dataset.navLabel;
+
+        link.append(progress, label);
+        return { section, link };
+    });
+
+    sectionNav.querySelector('ol').replaceChildren(...sectionNavItems.map(({ link }) => {
+        const item = document.createElement('li');
+        item.appendChild(link);
+        return item;
+    }));
+}
+
+/**
+ * Registry entry of a listed section (none while a detail page is shown)
+ * @param {HTMLElement} section - Listed section
+ * @returns {Object|undefined}
+ */
+function getSectionEntry(section) {
+    return animatedSections.find(candidate => candidate.section === section);
+}
+
+/**
+ * Index of the listed section under the middle of the viewport
+ * Uses the cached layout, so scrolling doesn't force a reflow
+ * @returns {number}
+ */
+function getCurrentNavIndex() {
+    const middle = window.scrollY + (window.innerHeight / 2);
+    let current = 0;
+    sectionNavItems.forEach(({ section }, index) => {
+        const entry = getSectionEntry(section);
+        const top = entry ? entry.layout.offsetTop : section.offsetTop;
+        if (!isNavSectionHidden(section) && top <= middle) current = index;
+    });
+    return current;
+}
+
+/**
+ * Whether a listed section is out of the page (failed to load, or filtered out)
+ * @param {HTMLElement} section - Listed section
+ * @returns {boolean}
+ */
+function isNavSectionHidden(section) {
+    const entry = getSectionEntry(section);
+    return entry ? isSectionCollapsed(entry) : section.hidden;
+}
+
+/**
+ * Jump to a listed section, finished (see DEEP LINKS)
+ * @param {HTMLElement} section - Listed section
+ */
+function jumpToSection(section) {
+    sectionNavTarget = sectionNavItems.findIndex(item => item.section === section);
+    scrollToSection(section);
+}
+
+/**
+ * Point the URL hash at a section without adding a history entry
+ * The first section is the top of the page and clears the hash
+ * @param {HTMLElement} section - Section in view
+ */
+function updateSectionHash(section) {
+    const hash = section === sectionNavItems[0].section ? '' : `#${section.id}`;
+    if (window.location.hash === hash) return;
+
+    // Keeps history.state, the router stores its entry id there
+    history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+}
+
+/**
+ * Show the progress of every section, mark the one in view and follow it in the URL
+ */
+function updateSectionNav() {
+    if (!sectionNav || sectionNavItems.length === 0 || currentRoute !== null) return;
+
+    const current = getCurrentNavIndex();
+    if (current === sectionNavTarget) sectionNavTarget = null;
+
+    sectionNavItems.forEach(({ section, link }, index) => {
+        const entry = getSectionEntry(section);
+        link.style.setProperty('--progress', entry ? entry.progress : 0);
+        link.parentElement.hidden = isNavSectionHidden(section);
+
+        if (index === current) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+
+    const { section } = sectionNavItems[current];
+    if (section !== currentNavSection) {
+        currentNavSection = section;
+        updateSectionHash(section);
+    }
+}
+
+/**
+ * Step to the previous or next section with the keyboard
+ * @param {KeyboardEvent} event - keydown event
+ */
+function handleSectionNavKey(event) {
+    const direction = SECTION_NAV_KEYS[event.key];
+    if (!direction || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (currentRoute !== null || document.querySelector('dialog[open]')) return;
+
+    // Fields, selects and sliders keep their own arrow keys
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    // Keep stepping from the section a running jump is heading to, skipping hidden ones
+    let index = sectionNavTarget !== null ? sectionNavTarget : getCurrentNavIndex();
+    do {
+        index += direction;
+    } while (sectionNavItems[index] && isNavSectionHidden(sectionNavItems[index].section));
+    if (!sectionNavItems[index]) return;
+
+    event.preventDefault();
+    jumpToSection(sectionNavItems[index].section);
+}
+
+/**
+ * Build the navigation, open the section named in the URL and wire up links and keys
+ */
+function initializeSectionNav() {
+    renderSectionNav();
+    if (sectionNavItems.length === 0) return;
+
+    // The hash the page was opened with stays until the visitor reaches another section
+    currentNavSection = sectionNavItems[getCurrentNavIndex()].section;
+    updateSectionNav();
+
+    sectionNav.addEventListener('click', event => {
+        const link = event.target.closest('.section-nav-link');
+        if (!link) return;
+
+        event.preventDefault();
+        jumpToSection(sectionNavItems.find(item => item.link === link).section);
+    });
+
+    document.addEventListener('keydown', handleSectionNavKey);
+    window.addEventListener('scrollend', () => {
+        sectionNavTarget = null;
+    });
+
+    // Labels follow the language
+    onLanguageChange(() => {
+        sectionNavItems.forEach(({ section, link }) => {
+            link.querySelector('.section-nav-label').textContent = section.dataset.navLabel;
+        });
+    });
+}
+
+// ============================================
+// CONTACT FORM
+// ============================================
+// Every [data-contact] link opens #contactDialog. data-contact="Coaching" sets
+// the topic, an empty data-contact uses the last service page the visitor
+// opened (see ROUTER). The form posts to CONFIG.contact.endpoint (or its action
+// attribute); when the request fails the visitor is offered the mail app with the
+// message filled in, addressed to CONFIG.contact.mailto (or data-mailto).
+
+const contactDialog = document.querySelector('#contactDialog');
+const contactForm = document.querySelector('#contactForm');
+
+// Drawing time of the button circle and the success / failure doodles (ms)
+const CONTACT_DOODLE_DURATION = 800;
+
+// Markup language messages, translated through contact.errors.* (see I18N)
+const CONTACT_ERRORS = {
+    nameMissing: 'Te rog să-ți scrii numele.',
+    emailMissing: 'Am nevoie de o adresă de email ca să-ți pot răspunde.',
+    emailInvalid: 'Adresa de email nu pare corectă.',
+    messageMissing: 'Scrie-mi câteva rânduri despre ce ai nevoie.',
+    messageShort: 'Mesajul e prea scurt, mai adaugă câteva cuvinte.'
+};
+
+// Title of the last service page opened
+let contactTopic = '';
+
+/**
+ * Validation message in the current language
+ * @param {string} key - Key of CONTACT_ERRORS
+ * @returns {string}
+ */
+function getContactErrorMessage(key) {
+    return t(`contact.errors.${key}`, CONTACT_ERRORS[key]);
+}
+
+/**
+ * Validation message for a field, empty when the value is fine
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+ * @returns {string}
+ */
+function getContactError(field) {
+    const value = field.value.trim();
+
+    switch (field.name) {
+        case 'name':
+            return value ? '' : getContactErrorMessage('nameMissing');
+        case 'email':
+            if (!value) return getContactErrorMessage('emailMissing');
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : getContactErrorMessage('emailInvalid');
+        case 'message':
+            if (!value) return getContactErrorMessage('messageMissing');
+            return value.length < field.minLength ? getContactErrorMessage('messageShort') : '';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Show (or clear) the message under a field
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+ * @returns {boolean} - Whether the field is valid
+ */
+function validateContactField(field) {
+    const error = contactForm.querySelector(`[data-error-for="${field.name}"]`);
+    if (!error) return true;
+
+    const message = getContactError(field);
+    error.textContent = message;
+    field.setAttribute('aria-invalid', String(message !== ''));
+    return message === '';
+}
+
+/**
+ * Validate every field
+ * @returns {HTMLElement|null} - First invalid field, null when the form can be sent
+ */
+function validateContactForm() {
+    const invalid = Array.from(contactForm.elements).filter(field => field.name && !validateContactField(field));
+    return invalid[0] || null;
+}
+
+/**
+ * Switch between the form and a result
+ * @param {string|null} state - 'success', 'failure' or null for the form
+ */
+function showContactState(state) {
+    contactForm.hidden = state !== null;
+
+    contactDialog.querySelectorAll('.contact-status').forEach(status => {
+        status.hidden = status.dataset.status !== state;
+        if (!status.hidden) playSvgPaths(status.querySelectorAll('path'), CONTACT_DOODLE_DURATION);
+    });
+}
+
+/**
+ * mailto: link with the form contents, null without an address
+ * @param {FormData} data - Form values
+ * @returns {string|null}
+ */
+function getContactMailto(data) {
+    const address = contactForm.dataset.mailto || CONFIG.contact.mailto;
+    if (!address) return null;
+
+    const subject = data.get('topic') || t('contact.defaultSubject', 'Mesaj de pe site');
+    const body = `${data.get('message')}\n\n${data.get('name')} <${data.get('email')}>`;
+    return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+/**
+ * Show the failure state, offering the mail app when possible
+ * @param {string|null} mailto - Fallback link
+ */
+function showContactFailure(mailto) {
+    const link = contactDialog.querySelector('.contact-mailto');
+    link.hidden = !mailto;
+    if (mailto) link.href = mailto;
+    showContactState('failure');
+}
+
+/**
+ * Validate and send the form
+ * @param {SubmitEvent} event - Submit event
+ */
+function submitContactForm(event) {
+    event.preventDefault();
+    contactForm.dataset.submitted = 'true';
+
+    const invalid = validateContactForm();
+    if (invalid) {
+        invalid.focus();
+        return;
+    }
+
+    const data = new FormData(contactForm);
+
+    // Only bots fill the honeypot: act as if it worked and send nothing
+    if (data.get('website')) {
+        showContactState('success');
+        return;
+    }
+    data.delete('website');
+
+    const endpoint = contactForm.getAttribute('action') || CONFIG.contact.endpoint;
+    const mailto = getContactMailto(data);
+
+    if (!endpoint) {
+        if (!mailto) {
+            console.warn('Contact form has neither an endpoint nor a mail address, see CONFIG.contact');
+            showContactFailure(null);
+            return;
+        }
+        window.location.href = mailto;
+        showContactState('success');
+        return;
+    }
+
+    const submit = contactForm.querySelector('[type="submit"]');
+    submit.disabled = true;
+
+    fetch(endpoint, { method: 'POST', body: data, headers: { Accept: 'application/json' } })
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            contactForm.reset();
+            delete contactForm.dataset.submitted;
+            showContactState('success');
+        })
+        .catch(error => {
+            console.warn('Could not send the contact form:', error);
+            showContactFailure(mailto);
+        })
+        .finally(() => {
+            submit.disabled = false;
+        });
+}
+
+/**
+ * Open the dialog with a topic and draw the button circle
+ * @param {string} topic - Pre-filled topic
+ */
+function openContactForm(topic) {
+    showContactState(null);
+    contactForm.elements.topic.value = topic;
+
+    if (typeof contactDialog.showModal === 'function') {
+        contactDialog.showModal();
+    } else {
+        contactDialog.setAttribute('open', '');
+    }
+
+    playSvgPaths(contactForm.querySelectorAll('.contact-submit svg path'), CONTACT_DOODLE_DURATION);
+    contactForm.elements.name.focus();
+}
+
+/**
+ * Close the dialog
+ */
+function closeContactForm() {
+    if (typeof contactDialog.close === 'function') {
+        contactDialog.close();
+    } else {
+        contactDialog.removeAttribute('open');
+    }
+}
+
+/**
+ * Suggest one topic per service page
+ */
+function renderContactTopics() {
+    const templates = document.querySelectorAll('template[data-route^="servicii/"]');
+    contactDialog.querySelector('#contactTopics').replaceChildren(...Array.from(templates, template => {
+        const option = document.createElement('option');
+        option.value = template.dataset.title;
+        return option;
+    }));
+}
+
+/**
+ * Wire up [data-contact] links, topic suggestions and validation
+ */
+function initializeContactForm() {
+    renderContactTopics();
+
+    document.addEventListener('click', event => {
+        const link = event.target.closest('[data-contact]');
+        if (!link) return;
+
+        event.preventDefault();
+        openContactForm(link.dataset.contact || contactTopic);
+    });
+
+    contactForm.addEventListener('submit', submitContactForm);
+
+    // After the first submit, errors update while the visitor corrects them
+    contactForm.addEventListener('input', event => {
+        if (contactForm.dataset.submitted) validateContactField(event.target);
+    });
+
+    contactDialog.querySelector('.contact-close').addEventListener('click', closeContactForm);
+
+    // Clicks on the backdrop land on the dialog itself
+    contactDialog.addEventListener('click', event => {
+        if (event.target === contactDialog) closeContactForm();
+    });
+
+    onLanguageChange(() => {
+        renderContactTopics();
+        if (contactForm.dataset.submitted) validateContactForm();
+    });
+}
+
+// ============================================
+// I18N
+// ============================================
+// index.html is written in Romanian; every other language is a dictionary in
+// assets/i18n/<language>.json with flat keys:
+//
+//   <span data-i18n="hero.teams"> echipele <svg>...</svg></span>
+//   <button data-i18n-attrs="aria-label:contact.close">×</button>
+//
+// data-i18n replaces the element's own text and keeps child elements (doodle
+// SVGs, nested keyed spans), data-i18n-attrs translates attributes. Strings
+// built in JS go through t(key, fallback). Switching tears every section down,
+// swaps the strings and initializes it again, so text is re-split and paths are
+// re-measured for the new word lengths while the scroll progress is kept.
+
+const I18N_LANGUAGES = ['ro', 'en'];
+const I18N_LOCALES = { ro: 'ro-RO', en: 'en-GB' };
+const I18N_DICTIONARY_URL = './assets/i18n/';
+const LANGUAGE_STORAGE_KEY = 'language';
+
+// Language the markup is written in, and the one shown
+const markupLanguage = document.documentElement.lang || 'ro';
+let currentLanguage = markupLanguage;
+
+// Strings of the shown language (empty while the markup is shown as written)
+let dictionary = {};
+const dictionaryRequests = new Map();
+
+// Functions that update what applyTranslations can't reach (see onLanguageChange)
+const languageChangeCallbacks = [];
+
+/**
+ * Look up a string in the current language
+ * @param {string} key - Dictionary key
+ * @param {string} fallback - Markup language text, used when the key is missing
+ * @param {Object} values - Replacements for {name} placeholders
+ * @returns {string}
+ */
+function t(key, fallback, values = {}) {
+    const text = key in dictionary ? dictionary[key] : fallback;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
 /**
- * Calculate animation progress based on viewport position
+ * Pick the current language from a content file value
+ * @param {*} value - A plain value, or { ro: ..., en: ... }
+ * @returns {*}
  */
-function calculatePublicationProgress(rect) {
-    const entry = window.innerHeight * CONFIG.publications.viewportEntryPoint;
-    const complete = window.innerHeight * CONFIG.publications.viewportCompletePoint;
-    
-    if (rect.top <= complete) return 1;
-    if (rect.top >= entry) return 0;
-    
-    return 1 - ((rect.top - complete) / (entry - complete));
+function localize(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    if (currentLanguage in value) return value[currentLanguage];
+    return markupLanguage in value ? value[markupLanguage] : Object.values(value)[0];
 }
 
 /**
- * Animate character opacity
+ * Run a function after every language switch, while the sections are torn down
+ * @param {Function} callback - Updates DOM built from JS strings or content files
  */
-function animateChars(chars, progress) {
-    if (!chars) return;
-    
-    if (progress >= 1) {
-        chars.forEach(char => char.style.opacity = 1);
-    } else if (progress > 0) {
-        animateTextCharacters(chars, progress, CONFIG.publications.textStartOpacity);
-    } else {
-        chars.forEach(char => char.style.opacity = CONFIG.publications.textStartOpacity);
+function onLanguageChange(callback) {
+    languageChangeCallbacks.push(callback);
+}
+
+/**
+ * Fetch a language dictionary (once)
+ * @param {string} language - Language code
+ * @returns {Promise<Object>}
+ */
+function loadDictionary(language) {
+    if (!dictionaryRequests.has(language)) {
+        dictionaryRequests.set(language, fetch(`${I18N_DICTIONARY_URL}${language}.json`).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        }));
     }
+    return dictionaryRequests.get(language);
 }
 
 /**
- * Animate SVG paths with threshold trigger
+ * Replace an element's own text, keeping its child elements and surrounding whitespace
+ * @param {HTMLElement} element - Element with data-i18n
+ * @param {string} text - New text
  */
-function animateSvg(paths, progress) {
-    if (!paths) return;
-    
-    const threshold = CONFIG.publications.svgTriggerThreshold;
-    const duration = CONFIG.publications.svgAnimationDuration;
-    
-    if (progress < threshold) {
-        resetSvgPaths(paths);
-    } else if (progress >= threshold + duration) {
-        animateSvgPaths(paths, 1, true);
-    } else {
-        const svgProgress = (progress - threshold) / duration;
-        animateSvgPaths(paths, svgProgress, true);
+function setOwnText(element, text) {
+    const textNodes = Array.from(element.childNodes)
+        .filter(node => node.nodeType === 3 && node.textContent.trim() !== '');
+
+    if (textNodes.length === 0) {
+        element.prepend(document.createTextNode(text));
+        return;
     }
+
+    textNodes.forEach((node, index) => {
+        const [, before, , after] = node.textContent.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        node.textContent = index === 0 ? `${before}${text}${after}` : '';
+    });
 }
 
 /**
- * Update active image based on closest publication to viewport center
+ * Apply the dictionary to [data-i18n] and [data-i18n-attrs] elements, templates included
+ * @param {Document|DocumentFragment} root - Where to look
  */
-function updateActiveImage() {
-    if (publicationImages.length === 0) return;
-    
-    const center = window.innerHeight / 2;
-    let closest = { distance: Infinity, publication: null };
-    
-    publicationItems.forEach(item => {
-        const rect = item.getBoundingClientRect();
-        if (rect.top < window.innerHeight && rect.bottom > 0) {
-            const itemCenter = rect.top + rect.height / 2;
-            const distance = Math.abs(itemCenter - center);
-            
-            if (distance < closest.distance) {
-                closest = { distance, publication: item.dataset.publication };
-            }
-        }
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const key = element.dataset.i18n;
+        if (key in dictionary) setOwnText(element, dictionary[key]);
     });
-    
-    if (closest.publication) {
-        publicationImages.forEach(img => {
-            img.classList.toggle('active', img.dataset.publication === closest.publication);
+
+    root.querySelectorAll('[data-i18n-attrs]').forEach(element => {
+        element.dataset.i18nAttrs.split(',').forEach(pair => {
+            const [name, key] = pair.split(':').map(part => part.trim());
+            if (key in dictionary) element.setAttribute(name, dictionary[key]);
         });
-    }
+    });
+
+    root.querySelectorAll('template').forEach(template => applyTranslations(template.content));
 }
 
 /**
- * Main animation function - called on scroll
+ * Mark the active language in the switch
  */
-function animatePublications() {
-    if (!publicationsSection) return;
-    
-    publicationItems.forEach(item => {
-        const progress = calculatePublicationProgress(item.getBoundingClientRect());
-        
-        // Animate text and button characters (synced)
-        animateChars(item.textChars, progress);
-        animateChars(item.buttonChars, progress);
-        
-        // Animate SVGs (triggered at threshold)
-        animateSvg(item.headerSvg, progress);
-        animateSvg(item.buttonSvg, progress);
+function renderLanguageToggle() {
+    document.querySelectorAll('.language-toggle [data-language]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.language === currentLanguage));
     });
-    
-    if(window.innerWidth > 1028)
-    updateActiveImage();
 }
 
-// Initialize on load
-initializePublications();
+/**
+ * Switch the page to a language without a reload
+ * @param {string} language - Language code from I18N_LANGUAGES
+ * @returns {Promise}
+ */
+function setLanguage(language) {
+    if (!I18N_LANGUAGES.includes(language) || language === currentLanguage) return Promise.resolve();
+
+    return loadDictionary(language)
+        .then(strings => {
+            currentLanguage = language;
+            dictionary = strings;
+            document.documentElement.lang = language;
+
+            reinitializeAnimatedSections(() => {
+                applyTranslations(document);
+                languageChangeCallbacks.forEach(callback => callback());
+            });
+
+            // Headlines changed length, so lines, offsets and paths move
+            refreshLayout();
+            renderLanguageToggle();
+        })
+        .catch(error => console.warn(`Could not load the "${language}" dictionary:`, error));
+}
+
+/**
+ * Wire up the switch and restore the remembered language
+ */
+function initializeI18n() {
+    document.querySelectorAll('.language-toggle [data-language]').forEach(button => {
+        button.addEventListener('click', () => {
+            try {
+                localStorage.setItem(LANGUAGE_STORAGE_KEY, button.dataset.language);
+            } catch (error) {
+                // Storage disabled: the choice lasts until the page is reloaded
+            }
+            setLanguage(button.dataset.language);
+        });
+    });
+
+    let remembered = null;
+    try {
+        remembered = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (error) {
+        // Storage disabled: stay on the markup language
+    }
 
+    renderLanguageToggle();
+    if (remembered) setLanguage(remembered);
+}
 
 // ============================================
-// REVIEWS SECTION
+// THEME
 // ============================================
+// Light or dark, following prefers-color-scheme until the visitor picks one with
+// .theme-toggle (remembered in localStorage). style.css swaps the colour
+// variables, so doodles, strokes and logos change colour in place: nothing is
+// re-initialized and every stroke keeps its drawn length. Images with a variant
+// for dark backgrounds name it in data-src-dark.
 
-const reviewsHeadline = sections.reviews.querySelector('#reviewsHeadline');
-const reviewsButton = sections.reviews.querySelector('#reviewsButton');
-wrapTextInSpans(reviewsButton);
-wrapTextInSpans(reviewsHeadline);
+const THEME_STORAGE_KEY = 'theme';
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
-const reviewsChars = sections.reviews.querySelectorAll('span:not(.has-svg-animated)');
+/**
+ * Theme shown: the visitor's pick, or the OS setting
+ * @returns {string} - 'light' or 'dark'
+ */
+function getTheme() {
+    return document.documentElement.dataset.theme || (colorSchemeQuery.matches ? 'dark' : 'light');
+}
 
-const reviewsSvgPaths = sections.reviews.querySelectorAll('.has-svg-animated svg line, .has-svg-animated svg path');
-initializeSvgPaths(reviewsSvgPaths);
+/**
+ * Point every image with a dark variant at the one matching the theme
+ * @param {HTMLElement|Document} root - Container to search
+ */
+function swapThemeImages(root = document) {
+    const dark = getTheme() === 'dark';
+    root.querySelectorAll('img[data-src-dark]').forEach(image => {
+        if (!image.dataset.srcLight) image.dataset.srcLight = image.getAttribute('src');
+        const src = dark ? image.dataset.srcDark : image.dataset.srcLight;
+        if (image.getAttribute('src') !== src) image.src = src;
+    });
+}
 
-function animateReviewsSection() {
-    if (!sections.reviews) return;
+/**
+ * Show a theme, or follow the OS again
+ * @param {string|null} theme - 'light', 'dark' or null
+ */
+function applyTheme(theme) {
+    if (theme) {
+        document.documentElement.dataset.theme = theme;
+    } else {
+        delete document.documentElement.dataset.theme;
+    }
 
-    const progress = calculateStickyProgress(sections.reviews);
+    swapThemeImages();
+    document.querySelectorAll('.theme-toggle').forEach(button => {
+        button.setAttribute('aria-pressed', String(getTheme() === 'dark'));
+    });
+}
 
-    // Stage 1: Animate headline
-    if (reviewsChars.length > 0) {
-        if (progress <= CONFIG.reviews.textEnd) {
-            const textProgress = (progress - CONFIG.reviews.textStart) / (CONFIG.reviews.textEnd - CONFIG.reviews.textStart);
-            animateTextCharacters(reviewsChars, textProgress, 0);
+/**
+ * Remember the visitor's pick; picking what the OS asks for follows the OS again
+ * @param {string} theme - 'light' or 'dark'
+ */
+function setTheme(theme) {
+    const followsOs = theme === (colorSchemeQuery.matches ? 'dark' : 'light');
+    try {
+        if (followsOs) {
+            localStorage.removeItem(THEME_STORAGE_KEY);
         } else {
-            reviewsChars.forEach(char => char.style.opacity = 1);
+            localStorage.setItem(THEME_STORAGE_KEY, theme);
         }
+    } catch (error) {
+        // Storage disabled: the choice lasts until the page is reloaded
     }
+    applyTheme(followsOs ? null : theme);
+}
 
-    // Stage 2: Animate SVGs
-    if (reviewsSvgPaths.length > 0) {
-        if (progress >= CONFIG.reviews.svgStart) {
-            const svgProgress = Math.min(1, (progress - CONFIG.reviews.svgStart) / CONFIG.reviews.svgEnd);
-            animateSvgPaths(reviewsSvgPaths, svgProgress, true);
-        } else {
-            resetSvgPaths(reviewsSvgPaths);
-        }
+/**
+ * Restore the remembered theme and wire up the toggle
+ */
+function initializeTheme() {
+    let remembered = null;
+    try {
+        remembered = localStorage.getItem(THEME_STORAGE_KEY);
+    } catch (error) {
+        // Storage disabled: follow the OS
     }
-};
+    applyTheme(remembered === 'light' || remembered === 'dark' ? remembered : null);
+
+    document.querySelectorAll('.theme-toggle').forEach(button => {
+        button.addEventListener('click', () => setTheme(getTheme() === 'dark' ? 'light' : 'dark'));
+    });
+
+    // Only the images and the toggle depend on JS, the colours follow in CSS
+    colorSchemeQuery.addEventListener('change', () => applyTheme(document.documentElement.dataset.theme || null));
+}
+
 // ============================================
-// CTA SECTION
+// ANALYTICS
 // ============================================
+// Sinks forward page events (see EVENTS). CONFIG.analytics.sink picks one of
+// analyticsSinks; ?debug=events logs to the console instead. Scripts outside
+// this file can add their own with window.pageEvents.connectSink({ send, flush }).
+// No sink is connected while the browser sends Do-Not-Track, whichever it is.
+//
+// The beacon sink collects events and posts them as a JSON array to
+// CONFIG.analytics.endpoint, once batchSize are waiting, flushInterval after the
+// first one, or when the page is hidden. Only same-origin endpoints are used.
+
+// Events waiting for the next beacon
+let beaconQueue = [];
+let beaconTimeout = null;
 
-const ctaHeadline = sections.cta.querySelector('#ctaHeadline');
-const ctaButton = sections.cta.querySelector('#ctaButton');
-wrapTextInSpans(ctaButton);
-wrapTextInSpans(ctaHeadline);
+/**
+ * Whether the visitor allows tracking (no Do-Not-Track header)
+ * @returns {boolean}
+ */
+function isTrackingAllowed() {
+    return ![navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack]
+        .some(value => value === '1' || value === 'yes');
+}
 
-const ctaChars = sections.cta.querySelectorAll('span:not(.has-svg-animated)');
+/**
+ * Post every waiting event in one request
+ */
+function flushBeaconEvents() {
+    clearTimeout(beaconTimeout);
+    beaconTimeout = null;
+    if (beaconQueue.length === 0) return;
+
+    const body = JSON.stringify(beaconQueue);
+    beaconQueue = [];
+
+    const { endpoint } = CONFIG.analytics;
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) return;
+
+    // No beacon support, or the browser refused to queue it
+    fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+    }).catch(() => {});
+}
 
-const ctaSvgPaths = sections.cta.querySelectorAll('.has-svg-animated svg line, .has-svg-animated svg path');
-initializeSvgPaths(ctaSvgPaths);
+/**
+ * Add an event to the next beacon
+ * @param {Object} event - Page event
+ */
+function queueBeaconEvent(event) {
+    beaconQueue.push(event);
+    if (beaconQueue.length >= CONFIG.analytics.batchSize) {
+        flushBeaconEvents();
+    } else if (beaconTimeout === null) {
+        beaconTimeout = setTimeout(flushBeaconEvents, CONFIG.analytics.flushInterval);
+    }
+}
 
-function animateCtaSection() {
-    if (!sections.cta) return;
+/**
+ * Built-in sinks, keyed by their CONFIG.analytics.sink value
+ * Each sink provides send(event) and optionally flush(), called when the page is hidden
+ */
+const analyticsSinks = {
+    none: {
+        send() {}
+    },
+    console: {
+        send: event => console.info(event.type, event.detail)
+    },
+    beacon: {
+        send: queueBeaconEvent,
+        flush: flushBeaconEvents
+    }
+};
 
-    const progress = calculateStickyProgress(sections.cta);
+/**
+ * Forward every page event to a sink, unless the visitor asked not to be tracked
+ * @param {Object} sink - Object with send(event) and optionally flush()
+ * @returns {boolean} - Whether the sink was connected
+ */
+function connectAnalyticsSink(sink) {
+    if (!isTrackingAllowed()) return false;
 
-    // Stage 1: Animate headline
-    if (ctaChars.length > 0) {
-        if (progress <= CONFIG.cta.textEnd) {
-            const textProgress = (progress - CONFIG.cta.textStart) / (CONFIG.cta.textEnd - CONFIG.cta.textStart);
-            animateTextCharacters(ctaChars, textProgress, 0);
-        } else {
-            ctaChars.forEach(char => char.style.opacity = 1);
-        }
+    onPageEvent('*', sink.send);
+    if (sink.flush) {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') sink.flush();
+        });
+        window.addEventListener('pagehide', () => sink.flush());
     }
+    return true;
+}
 
-    // Stage 2: Animate SVGs
-    if (ctaSvgPaths.length > 0) {
-        if (progress >= CONFIG.cta.svgStart) {
-            const svgProgress = Math.min(1, (progress - CONFIG.cta.svgStart) / CONFIG.cta.svgEnd);
-            animateSvgPaths(ctaSvgPaths, svgProgress, true);
-        } else {
-            resetSvgPaths(ctaSvgPaths);
-        }
+/**
+ * Report [data-cta] clicks and connect the configured sink
+ */
+function initializeAnalytics() {
+    document.addEventListener('click', event => {
+        const link = event.target.closest('[data-cta]');
+        if (!link) return;
+
+        const section = link.closest('section[id]');
+        emitPageEvent('cta:click', {
+            cta: link.dataset.cta,
+            href: link.getAttribute('href'),
+            section: section ? section.id : null,
+            route: currentRoute
+        });
+    });
+
+    const name = new URLSearchParams(window.location.search).get('debug') === 'events'
+        ? 'console'
+        : CONFIG.analytics.sink;
+    const sink = analyticsSinks[name];
+    if (!sink) {
+        console.warn('Unknown analytics sink:', name);
+        return;
+    }
+
+    if (name === 'beacon' && new URL(CONFIG.analytics.endpoint, window.location.href).origin !== window.location.origin) {
+        console.warn('Analytics endpoint is not same-origin, events are not sent:', CONFIG.analytics.endpoint);
+        return;
     }
+
+    connectAnalyticsSink(sink);
+}
+
+// Public API for scripts outside this file
+window.pageEvents = {
+    subscribe: onPageEvent,
+    connectSink: connectAnalyticsSink
 };
 
 // ============================================
-// PROFESIONAL SECTION
+// REDUCED MOTION
 // ============================================
+// Follows the OS "reduce motion" setting: no character splitting, every headline
+// and doodle shown fully drawn, and publication images swap instantly (see style.css)
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+let reducedMotion = reducedMotionQuery.matches;
 
-const profesionalSection = document.querySelector('#profesionalSection');
-const profesionalSectionA = profesionalSection.querySelectorAll('a');
-profesionalSectionA.forEach(link => {
-    wrapTextInSpans(link);
-})
+/**
+ * Switch reduced motion on or off and rebuild every section for the new mode
+ * @param {boolean} enabled - True when motion should be reduced
+ */
+function setReducedMotion(enabled) {
+    if (enabled === reducedMotion) return;
+
+    reducedMotion = enabled;
+    reinitializeAnimatedSections();
+}
 
-const profesionalChars = profesionalSection.querySelectorAll('span:not(.has-svg-animated)');
+// ============================================
+// PRESENTATION
+// ============================================
+// Kiosk mode for screens nobody scrolls: open the page with ?present and the
+// sections play one after another, each driven by a clock instead of the scroll
+// position, then loop back to the hero:
+//
+//   play   the section's progress runs from 0 to complete in presentDuration
+//   dwell  it stays complete for presentDwell
+//   move   the page scrolls to the next section in CONFIG.present.transition
+//
+// Progress still goes through updateAnimatedSections and every type's update(),
+// so the choreography is the one scrolling shows. Sections before the presented
+// one are complete and the ones after it are at 0. The page is scrolled to match
+// the progress, which keeps sticky content pinned and publication items in view.
+// Any input pauses the tour and hands control back to scrolling; it carries on
+// from the section in view after CONFIG.present.resumeDelay without input.
+
+const presentMode = new URLSearchParams(window.location.search).has('present');
+
+// Presented entry, its progress and the phase the clock is in
+const presentation = {
+    entry: null,
+    progress: 0,
+    phase: 'play',      // 'play' | 'dwell' | 'move'
+    phaseStart: 0,      // performance.now() when the phase began
+    moveFrom: 0,        // window.scrollY when the move began
+    paused: false
+};
 
-const profesionalPaths = document.querySelectorAll('#profesionalSection .has-svg-animated svg line, #profesionalSection .has-svg-animated svg path');
-initializeSvgPaths(profesionalPaths);
+let presentationResumeTimeout;
 
-function animateProfSection() {
+/**
+ * Whether the clock drives section progress right now
+ * @returns {boolean}
+ */
+function isPresenting() {
+    return presentMode && !presentation.paused && presentation.entry !== null;
+}
 
-    const progress = calculateStickyProgress(profesionalSection);
+/**
+ * Progress of a section while presenting: complete before the presented one, 0 after it
+ * @param {Object} entry - Registry entry
+ * @returns {number} - Section progress (0 to 1)
+ */
+function getPresentationProgress(entry) {
+    if (entry === presentation.entry) return presentation.progress;
+    return animatedSections.indexOf(entry) < animatedSections.indexOf(presentation.entry) ? 1 : 0;
+}
 
-    // Stage 1: Animate headline
-    if (profesionalChars.length > 0) {
-        if (progress <= 0.4) {
-            const textProgress = (progress - 0.15) / (0.4 - 0.15);
-            animateTextCharacters(profesionalChars, textProgress, 0);
-        } else {
-            profesionalChars.forEach(char => char.style.opacity = 1);
-        }
+/**
+ * Play and dwell time of a section
+ * @param {Object} entry - Registry entry
+ * @returns {Object} - { duration, dwell } in ms
+ */
+function getPresentationTiming(entry) {
+    return {
+        duration: entry.options.presentDuration ?? CONFIG.present.duration,
+        dwell: entry.options.presentDwell ?? CONFIG.present.dwell
+    };
+}
+
+/**
+ * Scroll position that shows a section at a progress value
+ * Types without a range (publications) are panned through instead
+ * @param {Object} entry - Registry entry
+ * @param {number} progress - Section progress (0 to 1)
+ * @returns {number} - window.scrollY in px
+ */
+function getPresentationScrollPosition(entry, progress) {
+    if (entry.type.range) return getSectionScrollPosition(entry, progress);
+    return entry.layout.offsetTop + (progress * Math.max(0, entry.layout.offsetHeight - window.innerHeight));
+}
+
+/**
+ * Presented sections after an entry, skipping the ones filtered out (see MODE SWITCH)
+ * @param {Object|null} entry - Registry entry, or null for the first one
+ * @returns {Object|null} - Next entry, null after the last one
+ */
+function getNextPresentationEntry(entry) {
+    const start = entry ? animatedSections.indexOf(entry) + 1 : 0;
+    return animatedSections.slice(start).find(next => !isSectionCollapsed(next)) || null;
+}
+
+/**
+ * Start a phase of the presented section
+ * @param {string} phase - 'play', 'dwell' or 'move'
+ * @param {number} elapsed - Time already spent in it (ms)
+ */
+function startPresentationPhase(phase, elapsed = 0) {
+    presentation.phase = phase;
+    presentation.phaseStart = performance.now() - elapsed;
+    presentation.moveFrom = window.scrollY;
+}
+
+/**
+ * Present a section from the start of its play phase
+ * @param {Object} entry - Registry entry
+ */
+function presentSection(entry) {
+    presentation.entry = entry;
+    presentation.progress = 0;
+    startPresentationPhase('play');
+}
+
+/**
+ * Advance the clock of the presented section and scroll the page to match
+ * @param {number} now - Frame timestamp (ms)
+ */
+function stepPresentation(now) {
+    requestAnimationFrame(stepPresentation);
+    if (presentation.paused) return;
+
+    // The view was swapped (see ROUTER) or the section filtered out: start over
+    if (!animatedSections.includes(presentation.entry) || isSectionCollapsed(presentation.entry)) {
+        presentSection(getNextPresentationEntry(null));
+        if (!presentation.entry) return;
     }
 
-    // Stage 2: Animate SVGs
-    if (profesionalPaths.length > 0) {
-        if (progress >= 0.55) {
-            const svgProgress = Math.min(1, (progress - 0.45) / 0.56);
-            animateSvgPaths(profesionalPaths, svgProgress, true);
-        } else {
-            resetSvgPaths(profesionalPaths);
+    const entry = presentation.entry;
+    const complete = getSectionCompleteProgress(entry);
+    const { duration, dwell } = getPresentationTiming(entry);
+    const elapsed = now - presentation.phaseStart;
+    let scrollTop = getPresentationScrollPosition(entry, presentation.progress);
+
+    if (presentation.phase === 'play') {
+        presentation.progress = complete * Math.min(1, duration > 0 ? elapsed / duration : 1);
+        scrollTop = getPresentationScrollPosition(entry, presentation.progress);
+        if (elapsed >= duration) startPresentationPhase('dwell');
+    } else if (presentation.phase === 'dwell') {
+        if (elapsed >= dwell) {
+            const next = getNextPresentationEntry(entry);
+            if (next) {
+                // The current section becomes a previous one and stays complete
+                presentation.entry = next;
+                presentation.progress = 0;
+                startPresentationPhase('move');
+            } else {
+                // Back to the hero: every section starts over
+                presentSection(getNextPresentationEntry(null));
+                scrollTop = getPresentationScrollPosition(presentation.entry, 0);
+            }
         }
+    } else {
+        const eased = resolveEasing(CONFIG.present.transitionEasing)(Math.min(1, elapsed / CONFIG.present.transition));
+        scrollTop = presentation.moveFrom + ((getPresentationScrollPosition(entry, 0) - presentation.moveFrom) * eased);
+        if (elapsed >= CONFIG.present.transition) startPresentationPhase('play');
     }
-};
+
+    if (Math.round(scrollTop) !== Math.round(window.scrollY)) {
+        window.scrollTo({ top: scrollTop, behavior: 'instant' });
+    }
+    handleScroll();
+}
+
+/**
+ * Carry on from the section in view, at the progress scrolling left it at
+ */
+function resumePresentation() {
+    const entry = animatedSections
+        .filter(candidate => !isSectionCollapsed(candidate)
+            && getPresentationScrollPosition(candidate, 0) <= window.scrollY + 1)
+        .pop() || getNextPresentationEntry(null);
+    if (!entry) return;
+
+    const complete = getSectionCompleteProgress(entry);
+    const { duration } = getPresentationTiming(entry);
+    presentation.entry = entry;
+    presentation.progress = Math.min(entry.progress, complete);
+    presentation.paused = false;
+
+    if (presentation.progress >= complete) {
+        startPresentationPhase('dwell');
+    } else {
+        startPresentationPhase('play', complete > 0 ? (presentation.progress / complete) * duration : 0);
+    }
+}
+
+/**
+ * Hand control back to scrolling until the visitor has been idle for resumeDelay
+ */
+function pausePresentation() {
+    presentation.paused = true;
+    clearTimeout(presentationResumeTimeout);
+    presentationResumeTimeout = setTimeout(resumePresentation, CONFIG.present.resumeDelay);
+}
+
+/**
+ * Start the tour at the first section and pause it on input
+ */
+function initializePresentation() {
+    presentSection(getNextPresentationEntry(null));
+    if (!presentation.entry) return;
+
+    window.scrollTo({ top: getPresentationScrollPosition(presentation.entry, 0), behavior: 'instant' });
+    ['wheel', 'touchstart', 'keydown', 'pointerdown'].forEach(type => {
+        window.addEventListener(type, pausePresentation, { passive: true });
+    });
+    requestAnimationFrame(stepPresentation);
+}
 
 // ============================================
-// Academic SECTION
+// DEBUG TIMELINE OVERLAY
 // ============================================
+// Open the page with ?debug=timeline to tune CONFIG live: every section shows its
+// progress and stage windows, with a slider per CONFIG value and a JSON export
 
-const academicSection = document.querySelector('#academicSection');
-const academicSectionA = academicSection.querySelectorAll('a');
-academicSectionA.forEach(link => {
-    wrapTextInSpans(link);
-})
+/**
+ * Check whether the timeline overlay was requested in the URL
+ * @returns {boolean}
+ */
+function isDebugTimelineEnabled() {
+    return new URLSearchParams(window.location.search).get('debug') === 'timeline';
+}
 
-const academicChars = academicSection.querySelectorAll('span:not(.has-svg-animated)');
+/**
+ * Draw the stage windows of a section onto its bar
+ * @param {Object} row - Overlay row ({ entry, bar, markers })
+ */
+function renderTimelineWindows(row) {
+    const { windows, markers } = row.entry.type.timeline(row.entry);
+
+    row.bar.innerHTML = '';
+    windows.forEach(({ stage, start, end }) => {
+        const stageWindow = document.createElement('span');
+        stageWindow.className = 'debug-timeline-window';
+        stageWindow.dataset.stage = stage;
+        stageWindow.style.left = `${Math.max(0, start) * 100}%`;
+        stageWindow.style.width = `${Math.max(0, Math.min(1, end) - Math.max(0, start)) * 100}%`;
+        stageWindow.title = `${stage}: ${start.toFixed(2)} → ${end.toFixed(2)}`;
+        row.bar.appendChild(stageWindow);
+    });
 
-const academicPaths = document.querySelectorAll('#academicSection .has-svg-animated svg line, #academicSection .has-svg-animated svg path');
-initializeSvgPaths(academicPaths);
+    row.markers = markers.map(() => {
+        const marker = document.createElement('span');
+        marker.className = 'debug-timeline-marker';
+        row.bar.appendChild(marker);
+        return marker;
+    });
+}
 
-function animateAcademicSection() {
+/**
+ * Build a slider for one numeric CONFIG value
+ * @param {string} name - CONFIG block name
+ * @param {string} key - Option name
+ * @param {HTMLElement} section - Section using the block (data-* overrides win over CONFIG)
+ * @param {Function} onChange - Called after CONFIG was edited
+ * @returns {HTMLElement} - Label wrapping the slider
+ */
+function createConfigSlider(name, key, section, onChange) {
+    const value = CONFIG[name][key];
+
+    // Fractions get a 0-1 range, pixel values and durations get room to grow
+    const max = value > 1 ? Math.ceil(value * 2) : 1;
+
+    const label = document.createElement('label');
+    label.className = 'debug-timeline-slider';
+    label.textContent = key in section.dataset ? `${key} (data-*)` : key;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = 0;
+    input.max = max;
+    input.step = max > 1 ? 1 : 0.01;
+    input.value = value;
+
+    const output = document.createElement('output');
+    output.textContent = value;
+
+    input.addEventListener('input', () => {
+        CONFIG[name][key] = Number(input.value);
+        output.textContent = input.value;
+        onChange();
+    });
 
-    const progress = calculateStickyProgress(academicSection);
+    label.append(input, output);
+    return label;
+}
 
-    // Stage 1: Animate headline
-    if (academicChars.length > 0) {
-        if (progress <= 0.4) {
-            const textProgress = (progress - 0.15) / (0.4 - 0.15);
-            animateTextCharacters(academicChars, textProgress, 0);
-        } else {
-            academicChars.forEach(char => char.style.opacity = 1);
-        }
-    }
+// Rows of the open overlay ({ entry, bar, progress, markers }) and their container
+let debugTimelineRows = [];
+let debugTimelineBody = null;
 
-    // Stage 2: Animate SVGs
-    if (academicPaths.length > 0) {
-        if (progress >= CONFIG.cta.svgStart) {
-            const svgProgress = Math.min(1, (progress - 0.45) / 0.56);
-            animateSvgPaths(academicPaths, svgProgress, true);
-        } else {
-            resetSvgPaths(academicPaths);
-        }
+/**
+ * (Re)build one overlay row per registered section
+ * Called again by the router when a view swap replaces the registered sections
+ */
+function renderDebugTimelineRows() {
+    if (!debugTimelineBody) return;
+
+    debugTimelineBody.replaceChildren();
+    debugTimelineRows = animatedSections
+        .filter(entry => entry.type.timeline)
+        .map(entry => {
+            const name = entry.section.dataset.animConfig;
+
+            const row = document.createElement('div');
+            row.className = 'debug-timeline-row';
+
+            const title = document.createElement('div');
+            title.className = 'debug-timeline-title';
+            title.textContent = `${name || entry.section.id} (${entry.section.dataset.anim}) `;
+
+            const progress = document.createElement('span');
+            title.appendChild(progress);
+
+            const bar = document.createElement('div');
+            bar.className = 'debug-timeline-bar';
+
+            row.append(title, bar);
+            debugTimelineBody.appendChild(row);
+
+            const timelineRow = { entry, bar, progress, markers: [] };
+            renderTimelineWindows(timelineRow);
+
+            if (CONFIG[name]) {
+                const details = document.createElement('details');
+                const summary = document.createElement('summary');
+                summary.textContent = `CONFIG.${name}`;
+                details.appendChild(summary);
+
+                Object.keys(CONFIG[name])
+                    .filter(key => typeof CONFIG[name][key] === 'number')
+                    .forEach(key => {
+                        details.appendChild(createConfigSlider(name, key, entry.section, () => {
+                            // Every section sharing the block picks up the new value
+                            animatedSections
+                                .filter(other => other.section.dataset.animConfig === name)
+                                .forEach(other => {
+                                    other.options = resolveAnimationOptions(other.section);
+                                    buildScrollAnimations(other);
+                                });
+                            updateAnimatedSections(true);
+                            debugTimelineRows.forEach(renderTimelineWindows);
+                        }));
+                    });
+
+                row.appendChild(details);
+            }
+
+            return timelineRow;
+        });
+}
+
+/**
+ * Build the overlay and keep its progress markers in sync with the page
+ */
+function initializeDebugTimeline() {
+    const panel = document.createElement('aside');
+    panel.className = 'debug-timeline';
+    panel.setAttribute('aria-label', 'Animation timeline');
+
+    const header = document.createElement('header');
+    header.textContent = 'Timeline';
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.textContent = 'Export CONFIG';
+
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.textContent = 'Hide';
+
+    header.append(exportButton, toggleButton);
+    panel.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'debug-timeline-body';
+    panel.appendChild(body);
+
+    const exportField = document.createElement('textarea');
+    exportField.className = 'debug-timeline-export';
+    exportField.readOnly = true;
+    exportField.hidden = true;
+    panel.appendChild(exportField);
+
+    debugTimelineBody = body;
+    renderDebugTimelineRows();
+
+    exportButton.addEventListener('click', () => {
+        exportField.value = `const CONFIG = ${JSON.stringify(CONFIG, null, 4)};`;
+        exportField.hidden = false;
+        exportField.select();
+        if (navigator.clipboard) navigator.clipboard.writeText(exportField.value).catch(() => {});
+    });
+
+    toggleButton.addEventListener('click', () => {
+        body.hidden = !body.hidden;
+        exportField.hidden = true;
+        toggleButton.textContent = body.hidden ? 'Show' : 'Hide';
+    });
+
+    document.body.appendChild(panel);
+
+    // Markers follow the progress values the engine already calculated
+    function renderProgress() {
+        debugTimelineRows.forEach(row => {
+            const { markers } = row.entry.type.timeline(row.entry);
+            markers.forEach((value, index) => {
+                if (row.markers[index]) row.markers[index].style.left = `${value * 100}%`;
+            });
+            row.progress.textContent = markers.map(value => value.toFixed(2)).join(' · ');
+        });
+        requestAnimationFrame(renderProgress);
     }
-};
+    renderProgress();
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+// Colours first, before anything is drawn
+initializeTheme();
+
+// Sinks are connected before the first section events
+initializeAnalytics();
+
+markDecorativeSvgs();
+drawAnnotations();
+initializeAnimatedSections();
+initializePublicationsContent();
+
+loadDoodles();
+
+const publicationsListing = document.querySelector('#publicationsListing');
+if (publicationsListing) initializePublicationsListing(publicationsListing);
 
+if (document.querySelector('[data-mode-switch]')) initializeModeSwitch();
+if (routeView) initializeRouter();
 
+// Every section starts in the state of the position the page opens at
+if (currentRoute !== null || !openDeepLink(window.location.hash, 'instant')) updateAnimatedSections(true);
+
+if (contactDialog) initializeContactForm();
+if (partnersGrid) initializePartners();
+if (testimonialsRoot) initializeTestimonials();
+if (sectionNav) initializeSectionNav();
+initializeI18n();
+
+if (isDebugTimelineEnabled()) initializeDebugTimeline();
+if (presentMode) initializePresentation();
 
 // ============================================
 // SCROLL HANDLER
@@ -922,15 +5113,8 @@ let ticking = false;
 function handleScroll() {
     if (!ticking) {
         requestAnimationFrame(() => {
-            animateHero();
-            animateAbout();
-            animateServiceSection();
-            animatePartners();
-            animatePublications();
-            animateReviewsSection();
-            animateCtaSection();
-            animateProfSection();
-            animateAcademicSection();
+            updateAnimatedSections();
+            updateSectionNav();
             ticking = false;
         });
         ticking = true;
@@ -943,14 +5127,28 @@ function handleScroll() {
 
 window.addEventListener('scroll', handleScroll, { passive: true });
 
-// Handle window resize for responsive behavior
-// let resizeTimeout;
-// window.addEventListener('resize', () => {
-//     clearTimeout(resizeTimeout);
-//     resizeTimeout = setTimeout(() => {
-//         location.reload(); // Reload on significant resize to recalculate
-//     }, 250);
-// }, { passive: true });
+// Apply reduced motion changes live, without a reload
+reducedMotionQuery.addEventListener('change', event => setReducedMotion(event.matches));
+
+// Handle window resize and device rotation for responsive behavior
+window.addEventListener('resize', scheduleLayoutRefresh, { passive: true });
+window.addEventListener('orientationchange', scheduleLayoutRefresh);
+
+// Deep links: settle after smooth jumps, let go of the target once the visitor scrolls
+window.addEventListener('scrollend', settleAfterJump);
+['wheel', 'touchstart', 'keydown', 'pointerdown'].forEach(type => {
+    window.addEventListener(type, releaseDeepLink, { passive: true });
+});
+
+// Detail pages: swap views on hash changes (covers back/forward) and remember scroll positions
+if (routeView) {
+    window.addEventListener('hashchange', renderRoute);
+    window.addEventListener('scroll', rememberRouteScroll, { passive: true });
+}
+
+// Images and web fonts can change the layout after the first measurement
+window.addEventListener('load', scheduleLayoutRefresh);
+if (document.fonts) document.fonts.ready.then(scheduleLayoutRefresh);
 
 // Initial call
-handleScroll();
\ No newline at end of file
+handleScroll();